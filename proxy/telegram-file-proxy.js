@@ -0,0 +1,97 @@
+/**
+ * Telegram 文件代理（参考实现）
+ *
+ * 请求 /<file_id> 时通过 getFile 实时解析文件路径并转发文件内容，
+ * 生成的图片链接只包含 file_id，不暴露 Bot Token，也不受 file_path 过期影响。
+ *
+ * 以 Cloudflare Workers 模块格式编写，只依赖标准的 Request/Response：
+ * - Cloudflare Workers：直接部署，在环境变量中设置 TG_BOT_TOKEN
+ * - Vercel / Netlify Edge Functions：在入口中调用 handleRequest(request, { TG_BOT_TOKEN: ... })
+ *
+ * 部署后在存储配置的「文件代理」中填写代理地址，如 https://tg-file.example.com
+ */
+
+const TELEGRAM_API = 'https://api.telegram.org'
+
+// file_id 对应的文件内容不会变化，可长期缓存
+const CACHE_CONTROL = 'public, max-age=31536000, immutable'
+
+const CONTENT_TYPES = {
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  png: 'image/png',
+  gif: 'image/gif',
+  webp: 'image/webp',
+  avif: 'image/avif',
+  svg: 'image/svg+xml',
+  ico: 'image/x-icon',
+  bmp: 'image/bmp',
+  tif: 'image/tiff',
+  tiff: 'image/tiff',
+  mp4: 'video/mp4'
+}
+
+const corsHeaders = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Methods': 'GET, HEAD, OPTIONS'
+}
+
+const errorResponse = (status, message) => new Response(message, {
+  status,
+  headers: { ...corsHeaders, 'Content-Type': 'text/plain; charset=utf-8' }
+})
+
+/**
+ * 处理代理请求
+ * @param {Request} request - 请求对象
+ * @param {Object} env - 环境变量
+ * @param {string} env.TG_BOT_TOKEN - Telegram Bot Token
+ * @returns {Promise<Response>}
+ */
+export async function handleRequest(request, env) {
+  if (request.method === 'OPTIONS') {
+    return new Response(null, { headers: corsHeaders })
+  }
+  if (request.method !== 'GET' && request.method !== 'HEAD') {
+    return errorResponse(405, 'Method Not Allowed')
+  }
+  if (!env.TG_BOT_TOKEN) {
+    return errorResponse(500, 'TG_BOT_TOKEN is not configured')
+  }
+
+  // 取路径最后一段作为 file_id，允许带扩展名，如 /AgACAgUAAx....jpg
+  const segment = decodeURIComponent(new URL(request.url).pathname.split('/').pop() || '')
+  const fileId = segment.replace(/\.[a-z0-9]+$/i, '')
+  if (!/^[\w-]+$/.test(fileId)) {
+    return errorResponse(400, 'Invalid file_id')
+  }
+
+  const fileResponse = await fetch(
+    `${TELEGRAM_API}/bot${env.TG_BOT_TOKEN}/getFile?file_id=${encodeURIComponent(fileId)}`
+  )
+  const fileData = await fileResponse.json()
+  if (!fileData.ok) {
+    return errorResponse(404, fileData.description || 'File not found')
+  }
+
+  const filePath = fileData.result.file_path
+  const upstream = await fetch(`${TELEGRAM_API}/file/bot${env.TG_BOT_TOKEN}/${filePath}`)
+  if (!upstream.ok) {
+    return errorResponse(upstream.status, 'Failed to fetch file from Telegram')
+  }
+
+  // Telegram 返回的 Content-Type 常为 application/octet-stream，按扩展名修正以便浏览器直接显示
+  const ext = filePath.split('.').pop().toLowerCase()
+  const headers = new Headers(corsHeaders)
+  headers.set('Content-Type', CONTENT_TYPES[ext] || upstream.headers.get('Content-Type') || 'application/octet-stream')
+  headers.set('Cache-Control', CACHE_CONTROL)
+  if (upstream.headers.has('Content-Length')) {
+    headers.set('Content-Length', upstream.headers.get('Content-Length'))
+  }
+
+  return new Response(request.method === 'HEAD' ? null : upstream.body, { headers })
+}
+
+export default {
+  fetch: handleRequest
+}
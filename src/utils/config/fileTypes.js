@@ -32,6 +32,16 @@ export const NAME_RULES = {
     value: 'random',
     label: '随机字符',
     description: '使用随机字符串作为文件名'
+  },
+  'hash': {
+    value: 'hash',
+    label: '内容哈希',
+    description: '使用文件内容的 SHA-256 作为文件名，相同文件不重复上传'
+  },
+  'template': {
+    value: 'template',
+    label: '自定义模板',
+    description: '使用模板变量组合文件名'
   }
 }
 
@@ -39,6 +49,9 @@ export const NAME_RULES = {
 export const DEFAULT_SETTINGS = {
   uploadPath: 'i/{year}/{month}/{day}',
   nameRule: 'original',
+  // 内容哈希命名时保留的十六进制字符数，最长 64
+  hashLength: 16,
+  filenameTemplate: '{original}-{random:6}.{ext}',
   maxFileSize: 10,
   allowedTypes: [
     'image/jpeg',
@@ -48,7 +61,62 @@ export const DEFAULT_SETTINGS = {
     'image/avif'
   ],
   image: {
+    // 压缩方式：ratio 按压缩质量，target 按目标大小（KB）
+    compressionMode: 'ratio',
     compressionRatio: 75,
-    outputFormat: 'original'
+    targetSize: 300,
+    // 质量最低仍超过目标大小时是否缩小尺寸
+    targetDownscale: true,
+    outputFormat: 'original',
+    // 元数据处理方式，见 METADATA_MODES
+    metadata: 'strip-private',
+    // 尺寸限制：0 表示不限制，限制值乘以 dpr 后为实际像素
+    resize: {
+      enabled: false,
+      maxWidth: 0,
+      maxHeight: 0,
+      maxLongEdge: 0,
+      dpr: 1,
+      onlyShrink: true,
+      quality: 'high'
+    },
+    // 水印：text 为文字水印，image 为图片水印（logo 以 Data URL 保存）
+    watermark: {
+      enabled: false,
+      type: 'text',
+      text: '',
+      font: 'sans-serif',
+      fontSize: 32,
+      color: '#ffffff',
+      opacity: 60,
+      rotation: 0,
+      tile: false,
+      tileGap: 120,
+      logo: '',
+      // logo 宽度占输出图片宽度的百分比
+      logoScale: 20,
+      position: 'bottom-right',
+      marginX: 24,
+      marginY: 24,
+      // 输出尺寸小于该值的图片不加水印
+      minWidth: 0,
+      minHeight: 0,
+      // 不加水印的原图格式
+      skipTypes: []
+    }
+  },
+  // 复制按钮：enabled 为显示的格式（内置格式名或自定义格式 id），custom 为自定义格式 { id, label, template }
+  linkFormats: {
+    enabled: ['url', 'md', 'html'],
+    custom: []
+  },
+  upload: {
+    concurrency: 3,
+    retries: 2,
+    retryDelay: 1000,
+    // 超过该大小（MB）的文件使用分片上传，支持断点续传
+    multipartThreshold: 20,
+    // 分片大小（MB）
+    partSize: 5
   }
 }
\ No newline at end of file
@@ -1,4 +1,6 @@
 // 输出格式配置
+// mimeType / extension 为转换后的类型和扩展名；
+// fallback 为浏览器不支持该格式编码时改用的格式，依次回退，PNG 所有浏览器都支持
 export const OUTPUT_FORMATS = {
   'original': {
     value: 'original',
@@ -8,25 +10,102 @@ export const OUTPUT_FORMATS = {
   'jpeg': {
     value: 'jpeg',
     label: 'JPEG',
-    description: '适用于照片等复杂图像'
+    description: '适用于照片等复杂图像，不支持透明，透明区域填充为白色',
+    mimeType: 'image/jpeg',
+    extension: 'jpg',
+    fallback: 'png'
   },
   'png': {
     value: 'png',
     label: 'PNG',
-    description: '适用于图标、截图等需要保持透明度的图像'
+    description: '适用于图标、截图等需要保持透明度的图像',
+    mimeType: 'image/png',
+    extension: 'png',
+    fallback: null
   },
   'webp': {
     value: 'webp',
     label: 'WebP',
-    description: '谷歌开发的新一代图像格式，在保证图像质量的同时提供更小的文件体积'
+    description: '谷歌开发的新一代图像格式，在保证图像质量的同时提供更小的文件体积',
+    mimeType: 'image/webp',
+    extension: 'webp',
+    fallback: 'jpeg'
   },
   'avif': {
     value: 'avif',
     label: 'AVIF',
-    description: '新一代图像格式，提供更高的压缩率和图像质量'
+    description: '新一代图像格式，提供更高的压缩率和图像质量',
+    mimeType: 'image/avif',
+    extension: 'avif',
+    fallback: 'webp'
   }
 }
 
+// 压缩方式
+export const COMPRESSION_MODES = {
+  'ratio': {
+    value: 'ratio',
+    label: '压缩质量',
+    description: '按固定的压缩质量处理，文件大小取决于图片内容'
+  },
+  'target': {
+    value: 'target',
+    label: '目标大小',
+    description: '自动选择不超过目标大小的最高质量'
+  }
+}
+
+// 元数据处理方式，拍摄方向始终写入像素
+export const METADATA_MODES = {
+  'strip-all': {
+    value: 'strip-all',
+    label: '全部移除',
+    description: '移除 EXIF、XMP、IPTC 等全部元数据，保留颜色配置'
+  },
+  'strip-private': {
+    value: 'strip-private',
+    label: '移除位置和设备信息',
+    description: '移除 GPS 坐标、相机型号和序列号等，保留拍摄时间和参数'
+  },
+  'preserve': {
+    value: 'preserve',
+    label: '保留',
+    description: '保留原图元数据，重新编码为 JPEG 以外的格式时无法保留'
+  }
+}
+
+// 缩放时的重采样质量，对应 Canvas 的 imageSmoothingQuality
+export const RESAMPLE_QUALITIES = {
+  'low': { value: 'low', label: '快速' },
+  'medium': { value: 'medium', label: '均衡' },
+  'high': { value: 'high', label: '高质量', description: '大幅缩小时分多次减半，细节更清晰' }
+}
+
+// 尺寸限制的设备像素比选项
+export const DPR_OPTIONS = [1, 2, 3]
+
+// 水印位置，row / col 为九宫格中的行列
+export const WATERMARK_POSITIONS = [
+  { value: 'top-left', label: '左上', row: 0, col: 0 },
+  { value: 'top', label: '上', row: 0, col: 1 },
+  { value: 'top-right', label: '右上', row: 0, col: 2 },
+  { value: 'left', label: '左', row: 1, col: 0 },
+  { value: 'center', label: '居中', row: 1, col: 1 },
+  { value: 'right', label: '右', row: 1, col: 2 },
+  { value: 'bottom-left', label: '左下', row: 2, col: 0 },
+  { value: 'bottom', label: '下', row: 2, col: 1 },
+  { value: 'bottom-right', label: '右下', row: 2, col: 2 }
+]
+
+// 文字水印字体
+export const WATERMARK_FONTS = [
+  { value: 'sans-serif', label: '无衬线' },
+  { value: 'serif', label: '衬线' },
+  { value: 'monospace', label: '等宽' },
+  { value: '"PingFang SC", "Microsoft YaHei", sans-serif', label: '苹方 / 微软雅黑' },
+  { value: '"Songti SC", SimSun, serif', label: '宋体' }
+]
+
 // 压缩质量等级配置
 export const COMPRESSION_LEVELS = {
   original: {
@@ -0,0 +1,46 @@
+// 内置的复制链接格式
+export const LINK_FORMATS = {
+  'url': {
+    label: 'URL',
+    icon: 'Link',
+    template: '{url}'
+  },
+  'md': {
+    label: 'Markdown',
+    icon: 'Document',
+    template: '![{filename}]({url})'
+  },
+  'html': {
+    label: 'HTML',
+    icon: 'Edit',
+    template: '<img src="{url}" alt="{filename}" />'
+  },
+  'bbcode': {
+    label: 'BBCode',
+    icon: 'ChatLineSquare',
+    template: '[img]{url}[/img]'
+  },
+  'rst': {
+    label: 'reStructuredText',
+    icon: 'Tickets',
+    template: '.. image:: {url}\n   :alt: {alt}'
+  },
+  'asciidoc': {
+    label: 'AsciiDoc',
+    icon: 'Notebook',
+    template: 'image::{url}[{alt}]'
+  }
+}
+
+// 链接模板支持的占位符
+export const LINK_PLACEHOLDERS = {
+  url: '图片地址',
+  filename: '文件名',
+  key: '存储路径',
+  width: '图片宽度',
+  height: '图片高度',
+  alt: '替代文本（不含扩展名的文件名）'
+}
+
+// 自定义链接格式使用的图标
+export const CUSTOM_LINK_ICON = 'Star'
@@ -40,6 +40,23 @@ export const STORAGE_SERVICES = {
         type: 'password',
         required: true,
         placeholder: 'Secret Access Key'
+      },
+      {
+        key: 'access',
+        label: '访问权限',
+        icon: 'View',
+        type: 'select',
+        placeholder: '默认公共读',
+        options: [
+          { value: 'public', label: '公共读' },
+          { value: 'private', label: '私有（签名链接）' }
+        ]
+      },
+      {
+        key: 'urlExpires',
+        label: '链接有效期',
+        icon: 'Timer',
+        placeholder: '私有模式下签名链接的有效期（秒），默认 3600'
       }
     ]
   },
@@ -77,6 +94,23 @@ export const STORAGE_SERVICES = {
         type: 'password',
         required: true,
         placeholder: 'AccessKey Secret'
+      },
+      {
+        key: 'access',
+        label: '访问权限',
+        icon: 'View',
+        type: 'select',
+        placeholder: '默认公共读',
+        options: [
+          { value: 'public', label: '公共读' },
+          { value: 'private', label: '私有（签名链接）' }
+        ]
+      },
+      {
+        key: 'urlExpires',
+        label: '链接有效期',
+        icon: 'Timer',
+        placeholder: '私有模式下签名链接的有效期（秒），默认 3600'
       }
     ]
   },
@@ -114,6 +148,23 @@ export const STORAGE_SERVICES = {
         type: 'password',
         required: true,
         placeholder: 'SecretKey'
+      },
+      {
+        key: 'access',
+        label: '访问权限',
+        icon: 'View',
+        type: 'select',
+        placeholder: '默认公共读',
+        options: [
+          { value: 'public', label: '公共读' },
+          { value: 'private', label: '私有（签名链接）' }
+        ]
+      },
+      {
+        key: 'urlExpires',
+        label: '链接有效期',
+        icon: 'Timer',
+        placeholder: '私有模式下签名链接的有效期（秒），默认 3600'
       }
     ]
   },
@@ -142,6 +193,181 @@ export const STORAGE_SERVICES = {
         label: '代理域名',
         icon: 'Link',
         placeholder: '可选：自定义代理域名，如 api.telegram.org 的反代'
+      },
+      {
+        key: 'fileProxyUrl',
+        label: '文件代理',
+        icon: 'Share',
+        placeholder: '可选：文件代理地址，链接只包含 file_id，不暴露 Bot Token'
+      }
+    ]
+  },
+  'webdav': {
+    type: 'webdav',
+    label: 'WebDAV',
+    icon: 'FolderOpened',
+    description: 'Nextcloud、AList 等 WebDAV 存储',
+    fields: [
+      {
+        key: 'endpoint',
+        label: 'WebDAV地址',
+        icon: 'Link',
+        required: true,
+        placeholder: '如：https://cloud.example.com/remote.php/dav/files/user'
+      },
+      {
+        key: 'username',
+        label: '用户名',
+        icon: 'User',
+        placeholder: 'WebDAV 用户名'
+      },
+      {
+        key: 'password',
+        label: '密码',
+        icon: 'Lock',
+        type: 'password',
+        placeholder: '密码或应用专用密码'
+      }
+    ]
+  },
+  'imgbed': {
+    type: 'imgbed',
+    label: 'CF-ImgBed',
+    icon: 'PictureRounded',
+    description: 'CloudFlare-ImgBed 自建图床',
+    fields: [
+      {
+        key: 'baseUrl',
+        label: '图床地址',
+        icon: 'Link',
+        required: true,
+        placeholder: '如：https://img.example.com'
+      },
+      {
+        key: 'authCode',
+        label: '认证码',
+        icon: 'Key',
+        type: 'password',
+        placeholder: '图床设置的上传认证码'
+      },
+      {
+        key: 'apiToken',
+        label: 'API Token',
+        icon: 'Lock',
+        type: 'password',
+        placeholder: '可选：用于图库列表与删除'
+      },
+      {
+        key: 'uploadChannel',
+        label: '上传渠道',
+        icon: 'Connection',
+        type: 'select',
+        placeholder: '默认 Telegram',
+        options: [
+          { value: 'telegram', label: 'Telegram' },
+          { value: 'cfr2', label: 'Cloudflare R2' },
+          { value: 's3', label: 'S3' }
+        ]
+      }
+    ]
+  },
+  'custom': {
+    type: 'custom',
+    label: '自定义接口',
+    icon: 'SetUp',
+    description: 'Lsky、Chevereto 等任意 HTTP 图床接口',
+    fields: [
+      {
+        key: 'uploadUrl',
+        label: '上传地址',
+        icon: 'Link',
+        required: true,
+        placeholder: '如：https://img.example.com/api/v1/upload'
+      },
+      {
+        key: 'method',
+        label: '请求方法',
+        icon: 'Promotion',
+        type: 'select',
+        placeholder: '默认 POST',
+        options: [
+          { value: 'POST', label: 'POST' },
+          { value: 'PUT', label: 'PUT' }
+        ]
+      },
+      {
+        key: 'fileField',
+        label: '文件字段',
+        icon: 'Document',
+        placeholder: '表单中文件的字段名，默认 file'
+      },
+      {
+        key: 'headers',
+        label: '请求头',
+        icon: 'Tickets',
+        type: 'textarea',
+        placeholder: '可选，JSON 格式，如：{"Authorization": "Bearer xxx"}'
+      },
+      {
+        key: 'formData',
+        label: '表单字段',
+        icon: 'Tickets',
+        type: 'textarea',
+        placeholder: '可选，JSON 格式，如：{"strategy_id": 1}'
+      },
+      {
+        key: 'urlPath',
+        label: '地址路径',
+        icon: 'Guide',
+        placeholder: '响应中图片地址的路径，如：data.links.url；留空则响应正文即地址'
+      },
+      {
+        key: 'deleteKeyPath',
+        label: '删除标识',
+        icon: 'Guide',
+        placeholder: '可选：响应中删除标识的路径，如：data.key'
+      },
+      {
+        key: 'deleteUrl',
+        label: '删除接口',
+        icon: 'Delete',
+        placeholder: '可选：支持 {key}，如：https://img.example.com/api/v1/images/{key}'
+      },
+      {
+        key: 'deleteMethod',
+        label: '删除方法',
+        icon: 'Promotion',
+        type: 'select',
+        placeholder: '默认 DELETE',
+        options: [
+          { value: 'DELETE', label: 'DELETE' },
+          { value: 'GET', label: 'GET' },
+          { value: 'POST', label: 'POST' }
+        ]
+      },
+      {
+        key: 'listUrl',
+        label: '列表接口',
+        icon: 'List',
+        placeholder: '可选：支持 {page}，如：https://img.example.com/api/v1/images?page={page}'
+      },
+      {
+        key: 'listItemsPath',
+        label: '列表路径',
+        icon: 'Guide',
+        placeholder: '列表响应中文件数组的路径，如：data.data'
+      },
+      {
+        key: 'listItemUrlPath',
+        label: '列表项地址',
+        icon: 'Guide',
+        placeholder: '列表项中图片地址的路径，默认 url'
+      },
+      {
+        key: 'listItemKeyPath',
+        label: '列表项标识',
+        icon: 'Guide',
+        placeholder: '列表项中删除标识的路径，默认 key'
       }
     ]
   }
@@ -1,20 +1,31 @@
 import { STORAGE_SERVICES, validateStorageConfig } from '../config/storageServices'
 import { FILE_TYPES, NAME_RULES, DEFAULT_SETTINGS } from '../config/fileTypes'
-import { OUTPUT_FORMATS, COMPRESSION_LEVELS, SIZE_LEVELS,getQualityLevel,getSizeLevel,getQualitySliderMarks,getSizeSliderMarks } from '../config/imageConfig'
+import { OUTPUT_FORMATS, COMPRESSION_LEVELS, SIZE_LEVELS, COMPRESSION_MODES, METADATA_MODES, RESAMPLE_QUALITIES, DPR_OPTIONS, WATERMARK_POSITIONS, WATERMARK_FONTS,getQualityLevel,getSizeLevel,getQualitySliderMarks,getSizeSliderMarks } from '../config/imageConfig'
 import ImageCompressor from '../imageCompressor'
+import { ImageHelper } from '../imageHelper'
+import { TEMPLATE_VARIABLES, validateTemplate, usesVariable, renderTemplate } from '../pathTemplate'
 import { S3Storage } from '../storage/S3Storage'
 import { OSSStorage } from '../storage/OSSStorage'
 import { COSStorage } from '../storage/COSStorage'
 import { TelegramStorage } from '../storage/TelegramStorage'
+import { WebDAVStorage } from '../storage/WebDAVStorage'
+import { CFImgBedStorage } from '../storage/CFImgBedStorage'
+import { CustomStorage } from '../storage/CustomStorage'
 
 // 存储服务映射
 const STORAGE_CLASSES = {
   's3': S3Storage,
   'oss': OSSStorage,
   'cos': COSStorage,
-  'telegram': TelegramStorage
+  'telegram': TelegramStorage,
+  'webdav': WebDAVStorage,
+  'imgbed': CFImgBedStorage,
+  'custom': CustomStorage
 }
 
+// 每次上传取值可能不同的模板变量，路径包含它们时相同内容的文件不会得到相同路径
+const VOLATILE_VARIABLES = ['year', 'month', 'day', 'hour', 'minute', 'second', 'timestamp', 'uuid', 'random']
+
 /**
  * 文件管理器类
  * 用于处理文件上传的验证、路径生成、存储配置等
@@ -24,6 +35,9 @@ export class FileManager {
     this.config = {
       uploadPath: config.uploadPath || DEFAULT_SETTINGS.uploadPath,
       nameRule: config.nameRule || DEFAULT_SETTINGS.nameRule,
+      hashLength: config.hashLength || DEFAULT_SETTINGS.hashLength,
+      filenameTemplate: config.filenameTemplate || DEFAULT_SETTINGS.filenameTemplate,
+      storage: config.storage || '',
       allowedTypes: config.allowedTypes || DEFAULT_SETTINGS.allowedTypes,
       maxFileSize: config.maxFileSize || DEFAULT_SETTINGS.maxFileSize
     }
@@ -42,11 +56,11 @@ export class FileManager {
 
     try {
       if (file.type.startsWith('image/')) {
-        const compressedFile = await this.imageCompressor.compress(file)
-        return { file: compressedFile, error: null }
+        const { file: compressedFile, gpsRemoved, targetMissed, decodeFailed = false, metadataKept = false } = await this.imageCompressor.process(file)
+        return { file: compressedFile, error: null, gpsRemoved, targetMissed, decodeFailed, metadataKept }
       }
       
-      return { file, error: null }
+      return { file, error: null, gpsRemoved: false, targetMissed: false, decodeFailed: false, metadataKept: false }
     } catch (error) {
       return { file: null, error: error.message }
     }
@@ -68,46 +82,81 @@ export class FileManager {
     return true
   }
 
+  /**
+   * 根据文件生成上传路径
+   * 模板使用 {hash} 时先计算文件的 SHA-256，使用 {width} {height} 时读取图片尺寸
+   * @param {File} file - 处理后的文件
+   * @returns {Promise<string>}
+   */
+  async resolvePath(file) {
+    const template = this._getPathTemplate()
+    const hash = usesVariable(template, 'hash') ? await this.hashFile(file) : null
+    const dimensions = usesVariable(template, 'width', 'height')
+      ? await ImageHelper.readDimensions(file)
+      : {}
+    return this.generatePath(file.name, { hash, ...dimensions })
+  }
+
+  /**
+   * 路径是否包含文件哈希
+   * @returns {boolean}
+   */
+  usesHash() {
+    return usesVariable(this._getPathTemplate(), 'hash')
+  }
+
+  /**
+   * 相同内容的文件是否无论何时上传都得到相同路径
+   * 路径中含有日期、时间戳、随机字符等会变化的变量时不算，例如按日期分目录时不同日期上传的相同文件路径不同
+   * @returns {boolean}
+   */
+  isContentAddressed() {
+    return this.usesHash() && !usesVariable(this._getPathTemplate(), ...VOLATILE_VARIABLES)
+  }
+
+  /**
+   * 计算文件内容的 SHA-256
+   * @param {Blob} file - 文件
+   * @returns {Promise<string>} 十六进制字符串
+   */
+  async hashFile(file) {
+    const digest = await crypto.subtle.digest('SHA-256', await file.arrayBuffer())
+    return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('')
+  }
+
   /**
    * 生成上传路径
+   * @param {string} filename - 原文件名
+   * @param {Object} [options] - 模板变量的取值
+   * @param {string} [options.hash] - 文件哈希，模板使用 {hash} 时必须提供
+   * @param {number} [options.width] - 图片宽度
+   * @param {number} [options.height] - 图片高度
    */
-  generatePath(filename) {
-    const date = new Date()
-    const path = this.config.uploadPath
-      .replace('{year}', date.getFullYear())
-      .replace('{month}', String(date.getMonth() + 1).padStart(2, '0'))
-      .replace('{day}', String(date.getDate()).padStart(2, '0'))
-    
-    const processedFilename = this._generateFilename(filename)
-    return this._normalizePath(`${path}/${processedFilename}`)
+  generatePath(filename, { hash, width, height } = {}) {
+    const path = renderTemplate(this._getPathTemplate(), {
+      filename,
+      hash,
+      width,
+      height,
+      storage: this.config.storage
+    })
+    return this._normalizePath(path)
   }
 
   /**
-   * 生成文件名
+   * 上传目录和文件名组成的完整模板，内置命名规则转换为对应的文件名模板
    * @private
    */
-  _generateFilename(originalFilename) {
-    const ext = originalFilename.split('.').pop().toLowerCase()
-    let basename
-    
-    switch(this.config.nameRule) {
-      case 'timestamp':
-        basename = Date.now().toString()
-        break
-        
-      case 'random':
-        basename = Math.random().toString(36).substring(2, 10)
-        break
-        
-      case 'original':
-      default:
-        basename = originalFilename.split('.')[0]
-          .replace(/[^a-zA-Z0-9-_.]/g, '-')
-          .replace(/-+/g, '-')
-          .replace(/^-+|-+$/g, '')
+  _getPathTemplate() {
+    const filenameTemplates = {
+      original: '{original}.{ext}',
+      timestamp: '{timestamp}.{ext}',
+      random: '{random:8}.{ext}',
+      hash: `{hash:${this.config.hashLength}}.{ext}`,
+      template: this.config.filenameTemplate
     }
-
-    return `${basename}.${ext}`
+    const filename = filenameTemplates[this.config.nameRule] || filenameTemplates.original
+    return `${this.config.uploadPath}/${filename}`
   }
 
   /**
@@ -135,12 +184,21 @@ export class FileManager {
 
     const fileManager = new FileManager({
       uploadPath: config.uploadPath,
-      nameRule: config.nameRule
+      nameRule: config.nameRule,
+      hashLength: config.hashLength,
+      filenameTemplate: config.filenameTemplate,
+      storage: type
     })
 
+    const upload = { ...DEFAULT_SETTINGS.upload, ...config.upload }
+
     return new StorageClass({
       ...config[type],
-      fileManager
+      fileManager,
+      multipart: {
+        threshold: upload.multipartThreshold * 1024 * 1024,
+        partSize: upload.partSize * 1024 * 1024
+      }
     })
   }
 
@@ -169,7 +227,16 @@ export class FileManager {
     return {
       ...DEFAULT_SETTINGS,
       allowedTypes: [...DEFAULT_SETTINGS.allowedTypes],
-      image: { ...DEFAULT_SETTINGS.image }
+      image: {
+        ...DEFAULT_SETTINGS.image,
+        resize: { ...DEFAULT_SETTINGS.image.resize },
+        watermark: { ...DEFAULT_SETTINGS.image.watermark, skipTypes: [] }
+      },
+      linkFormats: {
+        enabled: [...DEFAULT_SETTINGS.linkFormats.enabled],
+        custom: []
+      },
+      upload: { ...DEFAULT_SETTINGS.upload }
     }
   }
 
@@ -181,6 +248,25 @@ export class FileManager {
     return { ...NAME_RULES }
   }
 
+  /**
+   * 获取路径模板支持的变量
+   * @returns {Object} 变量写法（如 {random:N}）到说明的映射
+   */
+  static getTemplateVariables() {
+    return Object.fromEntries(
+      Object.entries(TEMPLATE_VARIABLES).map(([name, { label, arg }]) => [`{${arg ? `${name}:N` : name}}`, label])
+    )
+  }
+
+  /**
+   * 验证路径模板
+   * @param {string} template - 模板
+   * @returns {string|null} 错误信息，有效时返回 null
+   */
+  static validateTemplate(template) {
+    return validateTemplate(template)
+  }
+
   /**
    * 获取图片输出格式列表
    * @returns {Object} 输出格式对象
@@ -206,6 +292,12 @@ export {
   OUTPUT_FORMATS,
   COMPRESSION_LEVELS,
   SIZE_LEVELS,
+  COMPRESSION_MODES,
+  METADATA_MODES,
+  RESAMPLE_QUALITIES,
+  DPR_OPTIONS,
+  WATERMARK_POSITIONS,
+  WATERMARK_FONTS,
   getQualityLevel,
   getSizeLevel,
   getQualitySliderMarks,
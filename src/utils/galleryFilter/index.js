@@ -0,0 +1,121 @@
+import { FILE_TYPES } from '../config/fileTypes'
+
+// 可筛选的文件类型，value 用于地址栏
+export const FILTER_TYPES = FILE_TYPES.image.mimeTypes.map(({ label, extensions }) => ({
+  value: label.toLowerCase(),
+  label,
+  extensions
+}))
+
+// 空的筛选条件，大小以 KB 为单位，日期为 YYYY-MM-DD
+export const EMPTY_FILTERS = {
+  q: '',
+  from: '',
+  to: '',
+  minSize: null,
+  maxSize: null,
+  types: []
+}
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/
+
+const toNumber = (value) => {
+  if (value === undefined || value === null || value === '') return null
+  const number = Number(value)
+  return Number.isFinite(number) && number >= 0 ? number : null
+}
+
+/**
+ * 从地址栏参数读取筛选条件，无效的值会被忽略
+ * @param {Object} query - route.query
+ * @returns {Object} 筛选条件，结构同 EMPTY_FILTERS
+ */
+export const parseFilterQuery = (query) => {
+  const types = typeof query.type === 'string' ? query.type.split(',') : []
+  return {
+    q: typeof query.q === 'string' ? query.q : '',
+    from: DATE_PATTERN.test(query.from) ? query.from : '',
+    to: DATE_PATTERN.test(query.to) ? query.to : '',
+    minSize: toNumber(query.minSize),
+    maxSize: toNumber(query.maxSize),
+    types: types.filter(type => FILTER_TYPES.some(item => item.value === type))
+  }
+}
+
+/**
+ * 将筛选条件转换为地址栏参数，省略空值
+ * @param {Object} filters - 筛选条件
+ * @returns {Object}
+ */
+export const toFilterQuery = (filters) => {
+  const query = {}
+  if (filters.q) query.q = filters.q
+  if (filters.from) query.from = filters.from
+  if (filters.to) query.to = filters.to
+  if (filters.minSize != null) query.minSize = String(filters.minSize)
+  if (filters.maxSize != null) query.maxSize = String(filters.maxSize)
+  if (filters.types.length) query.type = filters.types.join(',')
+  return query
+}
+
+/**
+ * 是否设置了任一筛选条件
+ * @param {Object} filters - 筛选条件
+ * @returns {boolean}
+ */
+export const hasActiveFilters = (filters) => Object.keys(toFilterQuery(filters)).length > 0
+
+/**
+ * 将通配符转换为正则，* 匹配任意字符，? 匹配单个字符
+ * @param {string} pattern - 通配符
+ * @returns {RegExp}
+ */
+const globToRegExp = (pattern) => {
+  const source = pattern
+    .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+    .replace(/\*/g, '.*')
+    .replace(/\?/g, '.')
+  return new RegExp(`^${source}$`, 'i')
+}
+
+/**
+ * 创建文件筛选函数
+ * 搜索词包含 * 或 ? 时按通配符匹配完整路径，否则按子串匹配路径，均不区分大小写
+ * @param {Object} filters - 筛选条件
+ * @returns {(item: {key: string, lastModified?: Date, size?: number}) => boolean}
+ */
+export const createFilter = (filters) => {
+  const q = filters.q.trim()
+  const pattern = /[*?]/.test(q) ? globToRegExp(q) : null
+  const keyword = q.toLowerCase()
+  // 日期范围按本地时间计算，包含结束日期当天
+  const from = filters.from ? new Date(`${filters.from}T00:00:00`) : null
+  const to = filters.to ? new Date(`${filters.to}T23:59:59.999`) : null
+  const minSize = filters.minSize != null ? filters.minSize * 1024 : null
+  const maxSize = filters.maxSize != null ? filters.maxSize * 1024 : null
+  const extensions = FILTER_TYPES
+    .filter(type => filters.types.includes(type.value))
+    .flatMap(type => type.extensions)
+
+  return (item) => {
+    if (pattern && !pattern.test(item.key)) return false
+    if (!pattern && keyword && !item.key.toLowerCase().includes(keyword)) return false
+
+    if (from || to) {
+      if (!item.lastModified) return false
+      const date = new Date(item.lastModified)
+      if (from && date < from) return false
+      if (to && date > to) return false
+    }
+
+    // 设置了大小范围时，大小未知的文件不显示
+    if (minSize != null && !(item.size >= minSize)) return false
+    if (maxSize != null && !(item.size <= maxSize)) return false
+
+    if (extensions.length) {
+      const ext = item.key.includes('.') ? item.key.split('.').pop().toLowerCase() : ''
+      if (!extensions.includes(ext)) return false
+    }
+    return true
+  }
+}
@@ -1,54 +1,442 @@
 import imageCompression from 'browser-image-compression';
+import { OUTPUT_FORMATS } from '../config/imageConfig';
+import { DEFAULT_SETTINGS } from '../config/fileTypes';
+import { Watermark } from '../watermark';
+import { ImageMetadata } from '../imageMetadata';
+
+// Canvas 无法编码动画和矢量图，这些格式始终按原格式处理
+const PASSTHROUGH_TYPES = ['image/gif', 'image/svg+xml'];
+
+const ascii = (bytes, start, end) => String.fromCharCode(...bytes.slice(start, end));
+
+// 各格式的文件头，用于校验编码结果
+const MAGIC_NUMBERS = [
+  { mimeType: 'image/jpeg', test: (bytes) => bytes[0] === 0xFF && bytes[1] === 0xD8 && bytes[2] === 0xFF },
+  { mimeType: 'image/png', test: (bytes) => ascii(bytes, 0, 8) === '\x89PNG\r\n\x1A\n' },
+  { mimeType: 'image/gif', test: (bytes) => ascii(bytes, 0, 4) === 'GIF8' },
+  { mimeType: 'image/webp', test: (bytes) => ascii(bytes, 0, 4) === 'RIFF' && ascii(bytes, 8, 12) === 'WEBP' },
+  { mimeType: 'image/avif', test: (bytes) => ascii(bytes, 4, 8) === 'ftyp' && ['avif', 'avis'].includes(ascii(bytes, 8, 12)) }
+];
+
+// 目标大小模式：最低质量、质量二分查找次数、最多缩小次数和最小边长
+const TARGET_MIN_QUALITY = 0.1;
+const TARGET_SEARCH_STEPS = 6;
+const TARGET_MAX_DOWNSCALES = 5;
+const TARGET_MIN_DIMENSION = 64;
+
+// 各 MIME 类型的编码支持检测结果
+const encoderSupport = new Map();
+
+const createCanvas = (width, height) => {
+  if (typeof OffscreenCanvas !== 'undefined') {
+    return new OffscreenCanvas(width, height);
+  }
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  return canvas;
+};
+
+const canvasToBlob = (canvas, type, quality) => {
+  if (canvas.convertToBlob) {
+    return canvas.convertToBlob({ type, quality });
+  }
+  return new Promise((resolve, reject) => {
+    canvas.toBlob(blob => blob ? resolve(blob) : reject(new Error('图片编码失败')), type, quality);
+  });
+};
 
 export class ImageCompressor {
   constructor(config = {}) {
     this.config = {
+      compressionMode: config.compressionMode || DEFAULT_SETTINGS.image.compressionMode,
       compressionRatio: config.compressionRatio !== undefined ? config.compressionRatio : 75,
-      outputFormat: config.outputFormat || 'webp'
+      targetSize: config.targetSize || DEFAULT_SETTINGS.image.targetSize,
+      targetDownscale: config.targetDownscale ?? DEFAULT_SETTINGS.image.targetDownscale,
+      outputFormat: config.outputFormat || 'webp',
+      metadata: config.metadata || DEFAULT_SETTINGS.image.metadata,
+      resize: { ...DEFAULT_SETTINGS.image.resize, ...config.resize }
+    };
+    this.watermark = new Watermark(config.watermark);
+  }
+
+  /**
+   * 检测浏览器能否编码指定格式
+   * 不支持的格式 Canvas 会输出 PNG，据此判断
+   * @param {string} format - OUTPUT_FORMATS 中的格式
+   * @returns {Promise<boolean>}
+   */
+  static isEncoderSupported(format) {
+    const mimeType = OUTPUT_FORMATS[format]?.mimeType;
+    if (!mimeType) {
+      return Promise.resolve(false);
+    }
+
+    if (!encoderSupport.has(mimeType)) {
+      encoderSupport.set(mimeType, canvasToBlob(createCanvas(1, 1), mimeType)
+        .then(blob => blob.type === mimeType)
+        .catch(() => false));
+    }
+    return encoderSupport.get(mimeType);
+  }
+
+  /**
+   * 获取实际使用的输出格式，不支持时按 fallback 依次回退
+   * @param {string} format - 设置中的输出格式
+   * @returns {Promise<string>}
+   */
+  static async resolveOutputFormat(format) {
+    if (format === 'original') {
+      return format;
+    }
+
+    let current = format;
+    while (current) {
+      if (await ImageCompressor.isEncoderSupported(current)) {
+        return current;
+      }
+      current = OUTPUT_FORMATS[current]?.fallback;
+    }
+    return 'png';
+  }
+
+  /**
+   * 根据文件头识别图片格式
+   * @param {Blob} blob - 图片内容
+   * @returns {Promise<string|null>} MIME 类型，无法识别时返回 null
+   */
+  static async detectMimeType(blob) {
+    const bytes = new Uint8Array(await blob.slice(0, 16).arrayBuffer());
+    return MAGIC_NUMBERS.find(({ test }) => test(bytes))?.mimeType || null;
+  }
+
+  /**
+   * 当前配置实际使用的输出格式
+   * @returns {Promise<string>}
+   */
+  getOutputFormat() {
+    return ImageCompressor.resolveOutputFormat(this.config.outputFormat);
+  }
+
+  /**
+   * 计算缩放后的尺寸
+   * 宽、高、长边限制同时生效，取缩放比例最小的一项；限制值乘以 dpr 后为实际像素
+   * @param {number} width - 原图宽度
+   * @param {number} height - 原图高度
+   * @returns {{width: number, height: number}}
+   */
+  getTargetSize(width, height) {
+    const { enabled, maxWidth, maxHeight, maxLongEdge, dpr, onlyShrink } = this.config.resize;
+    if (!enabled) {
+      return { width, height };
+    }
+
+    const scale = Number(dpr) || 1;
+    let ratio = Math.min(
+      maxWidth > 0 ? (maxWidth * scale) / width : Infinity,
+      maxHeight > 0 ? (maxHeight * scale) / height : Infinity,
+      maxLongEdge > 0 ? (maxLongEdge * scale) / Math.max(width, height) : Infinity
+    );
+    if (!Number.isFinite(ratio)) {
+      return { width, height };
+    }
+    if (onlyShrink) {
+      ratio = Math.min(ratio, 1);
+    }
+
+    return {
+      width: Math.max(1, Math.round(width * ratio)),
+      height: Math.max(1, Math.round(height * ratio))
     };
   }
 
   async compress(file) {
+    const { file: output } = await this.process(file);
+    return output;
+  }
+
+  /**
+   * 压缩图片并处理元数据
+   * @param {File} file - 原图
+   * @returns {Promise<{file: File, gpsRemoved: boolean, targetMissed: boolean, decodeFailed?: boolean, metadataKept?: boolean}>}
+   *   gpsRemoved 表示原图含有位置信息且已移除，targetMissed 表示目标大小模式下未能压缩到目标大小，
+   *   decodeFailed 表示浏览器无法解码原图，返回的是未经压缩的原图，
+   *   metadataKept 表示设置要求移除元数据，但该格式无法移除
+   */
+  async process(file) {
+    try {
+      // GIF 动画和 SVG 无法通过 Canvas 处理，保持原文件
+      const result = PASSTHROUGH_TYPES.includes(file.type)
+        ? { file, gpsRemoved: false }
+        : await this._process(file);
+      return {
+        ...result,
+        targetMissed: this.isTargetMode() && result.file.size > this.getTargetBytes()
+      };
+    } catch (error) {
+      throw new Error(`图片压缩失败: ${error.message}`);
+    }
+  }
+
+  /**
+   * 是否为目标大小模式
+   * @returns {boolean}
+   */
+  isTargetMode() {
+    return this.config.compressionMode === 'target';
+  }
+
+  /**
+   * 目标大小（字节）
+   * @returns {number}
+   */
+  getTargetBytes() {
+    return this.config.targetSize * 1024;
+  }
+
+  /**
+   * 压缩并按设置处理输出文件的元数据
+   * @private
+   */
+  async _process(file) {
+    const metadata = await ImageMetadata.inspect(file);
+    const output = await this._compress(file, metadata);
+    if (!output) {
+      // 无法解码时上传原图，元数据仍按设置处理；JPEG 以外的格式无法在不重新编码的情况下移除
+      const result = await ImageMetadata.apply(file, file, metadata, this.config.metadata);
+      return {
+        ...result,
+        decodeFailed: true,
+        metadataKept: this.config.metadata !== 'preserve' && metadata.hasMetadata && result.file === file
+      };
+    }
+    return ImageMetadata.apply(output, file, metadata, this.config.metadata);
+  }
+
+  /**
+   * 缩放、转换格式并压缩
+   * @private
+   * @param {File} file - 原图
+   * @param {{orientation: number, hasMetadata: boolean}} metadata - 原图的元数据情况
+   * @returns {Promise<File|null>} 无需处理时返回原文件，浏览器无法解码时返回 null
+   */
+  async _compress(file, metadata) {
+    const converting = this.config.outputFormat !== 'original';
+    const targeting = this.isTargetMode();
+    // 带旋转方向的图片需重新绘制；JPEG 以外的格式无法直接移除元数据，也需重新编码
+    const redraw = metadata.orientation > 1
+      || (this.config.metadata !== 'preserve' && metadata.hasMetadata && file.type !== 'image/jpeg');
+    if (!converting && !redraw && !targeting && !this.config.resize.enabled && !this.watermark.isEnabled()) {
+      return this._compressOriginal(file);
+    }
+
+    // 按 EXIF 方向旋转后解码；TIFF、ICO 等浏览器可能无法解码，此时上传原图
+    const bitmap = await createImageBitmap(file, { imageOrientation: 'from-image' }).catch(() => null);
+    if (!bitmap) {
+      return null;
+    }
     try {
-      // GIF 文件特殊处理
-      if (file.type === 'image/gif') {
-        return this.config.outputFormat !== 'original' && this.config.outputFormat !== 'gif'
-          ? this._createOutputFile(file, file.name)
-          : file;
+      const size = this.getTargetSize(bitmap.width, bitmap.height);
+      const resized = size.width !== bitmap.width || size.height !== bitmap.height;
+      const watermarked = this.watermark.shouldApply(file.type, size);
+      // 原格式输出且无需重绘、缩放和加水印时沿用原有的压缩方式，目标大小模式下原图已达标则不处理
+      if (!converting && !redraw && !resized && !watermarked) {
+        if (!targeting) {
+          return await this._compressOriginal(file);
+        }
+        if (file.size <= this.getTargetBytes()) {
+          return file;
+        }
+      }
+
+      const format = converting
+        ? await this.getOutputFormat()
+        : await this._getSourceFormat(file.type);
+      const { mimeType, extension } = OUTPUT_FORMATS[format];
+
+      // 原图质量、尺寸和格式都不变且无需重绘时不重新编码
+      if (!targeting && !redraw && !resized && !watermarked && this.config.compressionRatio === 100 && file.type === mimeType) {
+        return file;
+      }
+
+      const blob = targeting
+        ? await this._fitTargetSize(bitmap, size, mimeType, watermarked, this._getEncodeTargetBytes(metadata))
+        : await this._encode(bitmap, size, mimeType, watermarked);
+      const actualType = await ImageCompressor.detectMimeType(blob);
+      if (actualType !== mimeType) {
+        throw new Error(`编码结果为 ${actualType || '未知格式'}，与目标格式 ${mimeType} 不一致`);
       }
 
-      // 非 GIF 文件的正常压缩逻辑
-      if (this.config.compressionRatio === 100) {
-        return this.config.outputFormat !== 'original' 
-          ? this._createOutputFile(file, file.name)
-          : file;
+      return this._createOutputFile(blob, file, extension, mimeType);
+    } finally {
+      bitmap.close();
+    }
+  }
+
+  /**
+   * 按原格式压缩
+   * @private
+   */
+  async _compressOriginal(file) {
+    if (this.config.compressionRatio === 100) {
+      return file;
+    }
+
+    const options = {
+      useWebWorker: true,
+      alwaysKeepResolution: true,
+      initialQuality: Math.max(0.01, this.config.compressionRatio / 100),
+      quality: Math.max(0.01, this.config.compressionRatio / 100),
+      maxSizeMB: this._calculateMaxSize(file.size, this.config.compressionRatio),
+      maxIteration: 2,
+      ...this._getFormatSpecificOptions(file.type)
+    };
+
+    return imageCompression(file, options);
+  }
+
+  /**
+   * 原格式输出但需要重新编码（如缩放）时使用的格式
+   * 浏览器无法编码原格式时按 fallback 回退，BMP、TIFF 等转为 PNG
+   * @private
+   */
+  async _getSourceFormat(mimeType) {
+    const format = Object.keys(OUTPUT_FORMATS).find(key => OUTPUT_FORMATS[key].mimeType === mimeType);
+    return format ? ImageCompressor.resolveOutputFormat(format) : 'png';
+  }
+
+  /**
+   * 缩放、加水印并按压缩质量编码为目标格式
+   * @private
+   * @returns {Promise<Blob>}
+   */
+  async _encode(bitmap, size, mimeType, watermarked) {
+    const canvas = await this._draw(bitmap, size, mimeType, watermarked);
+    // PNG 为无损格式，quality 会被忽略
+    return canvasToBlob(canvas, mimeType, Math.max(0.01, this.config.compressionRatio / 100));
+  }
+
+  /**
+   * 编码时使用的目标大小，写回的 EXIF 会增加文件大小，需预留
+   * @private
+   */
+  _getEncodeTargetBytes(metadata) {
+    const reserved = this.config.metadata !== 'strip-all' ? metadata.exifSize : 0;
+    return Math.max(1, this.getTargetBytes() - reserved);
+  }
+
+  /**
+   * 查找不超过目标大小的最高质量，最低质量仍超出且允许缩小时逐步缩小尺寸
+   * @private
+   * @returns {Promise<Blob>} 无法达到目标时返回最小的结果
+   */
+  async _fitTargetSize(bitmap, size, mimeType, watermarked, targetBytes) {
+    let current = size;
+    let smallest = null;
+    for (let step = 0; step <= TARGET_MAX_DOWNSCALES; step++) {
+      const canvas = await this._draw(bitmap, current, mimeType, watermarked);
+      const blob = await this._searchQuality(canvas, mimeType, targetBytes);
+      if (blob.size <= targetBytes) {
+        return blob;
+      }
+      if (!smallest || blob.size < smallest.size) {
+        smallest = blob;
+      }
+      if (!this.config.targetDownscale) {
+        break;
       }
 
-      const options = {
-        useWebWorker: true,
-        alwaysKeepResolution: true,
-        initialQuality: Math.max(0.01, this.config.compressionRatio / 100),
-        quality: Math.max(0.01, this.config.compressionRatio / 100),
-        maxSizeMB: this._calculateMaxSize(file.size, this.config.compressionRatio),
-        maxIteration: 2,
-        ...this._getFormatSpecificOptions(file.type)
+      // 文件大小大致与像素数成正比，按面积估算缩小比例
+      const scale = Math.min(0.9, Math.max(0.5, Math.sqrt(targetBytes / blob.size)));
+      current = {
+        width: Math.round(current.width * scale),
+        height: Math.round(current.height * scale)
       };
+      if (Math.min(current.width, current.height) < TARGET_MIN_DIMENSION) {
+        break;
+      }
+    }
+    return smallest;
+  }
 
-      const compressedFile = await imageCompression(file, options);
+  /**
+   * 二分查找不超过目标大小的最高质量
+   * @private
+   * @returns {Promise<Blob>} 最低质量仍超出时返回最低质量的结果
+   */
+  async _searchQuality(canvas, mimeType, targetBytes) {
+    const lowest = await canvasToBlob(canvas, mimeType, TARGET_MIN_QUALITY);
+    // PNG 为无损格式，质量不影响大小
+    if (mimeType === 'image/png' || lowest.size > targetBytes) {
+      return lowest;
+    }
 
-      return this.config.outputFormat !== 'original'
-        ? this._createOutputFile(compressedFile, file.name)
-        : compressedFile;
-    } catch (error) {
-      throw new Error(`图片压缩失败: ${error.message}`);
+    let best = lowest;
+    let low = TARGET_MIN_QUALITY;
+    let high = 1;
+    for (let i = 0; i < TARGET_SEARCH_STEPS; i++) {
+      const quality = (low + high) / 2;
+      const blob = await canvasToBlob(canvas, mimeType, quality);
+      if (blob.size <= targetBytes) {
+        best = blob;
+        low = quality;
+      } else {
+        high = quality;
+      }
+    }
+    return best;
+  }
+
+  /**
+   * 缩放并加水印
+   * @private
+   * @param {ImageBitmap} bitmap - 解码后的原图
+   * @param {{width: number, height: number}} size - 输出尺寸
+   * @param {string} mimeType - 目标类型
+   * @param {boolean} watermarked - 是否加水印
+   * @returns {Promise<HTMLCanvasElement|OffscreenCanvas>}
+   */
+  async _draw(bitmap, { width, height }, mimeType, watermarked) {
+    const { quality } = this.config.resize;
+    let source = bitmap;
+    let sourceWidth = bitmap.width;
+    let sourceHeight = bitmap.height;
+
+    // 高质量模式下大幅缩小时每次缩小一半，避免一次缩放丢失细节
+    if (quality === 'high') {
+      while (sourceWidth >= width * 2 && sourceHeight >= height * 2) {
+        const step = createCanvas(Math.round(sourceWidth / 2), Math.round(sourceHeight / 2));
+        const stepCtx = step.getContext('2d');
+        stepCtx.imageSmoothingQuality = 'high';
+        stepCtx.drawImage(source, 0, 0, step.width, step.height);
+        source = step;
+        sourceWidth = step.width;
+        sourceHeight = step.height;
+      }
     }
+
+    const canvas = createCanvas(width, height);
+    const ctx = canvas.getContext('2d');
+    ctx.imageSmoothingEnabled = true;
+    ctx.imageSmoothingQuality = quality;
+    // JPEG 不支持透明，透明区域填充为白色而不是黑色
+    if (mimeType === 'image/jpeg') {
+      ctx.fillStyle = '#fff';
+      ctx.fillRect(0, 0, width, height);
+    }
+    ctx.drawImage(source, 0, 0, width, height);
+    // 水印在缩放后绘制，大小不受缩放影响
+    if (watermarked) {
+      await this.watermark.draw(ctx, width, height);
+    }
+    return canvas;
   }
 
   _getFormatSpecificOptions(mimeType) {
     const options = {
       alwaysKeepResolution: true,
     };
-    
+
     switch(mimeType) {
       case 'image/png':
         options.preserveAlpha = true;
@@ -57,9 +445,6 @@ export class ImageCompressor {
       case 'image/jpg':
         options.mozjpeg = true;
         break;
-      case 'image/gif':
-        options.preserveQuality = true;
-        break;
       case 'image/webp':
         options.lossless = this.config.compressionRatio > 90;
         break;
@@ -70,23 +455,25 @@ export class ImageCompressor {
 
   _calculateMaxSize(originalSize, compressionRatio) {
     const originalSizeMB = originalSize / (1024 * 1024);
-    const factor = compressionRatio >= 75 ? 0.95 
-      : compressionRatio >= 50 ? 0.85 
-      : compressionRatio >= 25 ? 0.75 
+    const factor = compressionRatio >= 75 ? 0.95
+      : compressionRatio >= 50 ? 0.85
+      : compressionRatio >= 25 ? 0.75
       : 0.65;
 
     return (originalSizeMB * (compressionRatio * factor)) / 100;
   }
 
-  _createOutputFile(compressedFile, originalName) {
-    const ext = this.config.outputFormat;
-    const newFileName = originalName.replace(/\.[^/.]+$/, `.${ext}`);
-    
-    return new File([compressedFile], newFileName, { 
-      type: `image/${ext}`,
+  _createOutputFile(blob, originalFile, extension, mimeType) {
+    // 格式不变时保留原文件名
+    const newFileName = originalFile.type === mimeType
+      ? originalFile.name
+      : originalFile.name.replace(/\.[^/.]+$/, '') + `.${extension}`;
+
+    return new File([blob], newFileName, {
+      type: mimeType,
       lastModified: new Date().getTime()
     });
   }
 }
 
-export default ImageCompressor;
\ No newline at end of file
+export default ImageCompressor;
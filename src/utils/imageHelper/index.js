@@ -1,30 +1,198 @@
+import { LINK_FORMATS, CUSTOM_LINK_ICON } from '../config/linkFormats'
+import { DEFAULT_SETTINGS } from '../config/fileTypes'
+import { downloadZip } from 'client-zip'
+import exifr from 'exifr'
+
 export const ImageHelper = {
+  /**
+   * 获取全部链接格式，包括内置格式和自定义格式
+   * @param {Array<{id: string, label: string, template: string}>} [custom] - 自定义格式
+   * @returns {Array<{type: string, label: string, icon: string, template: string, custom?: boolean}>}
+   */
+  getAllLinkFormats(custom = []) {
+    return [
+      ...Object.entries(LINK_FORMATS).map(([type, format]) => ({ type, ...format })),
+      ...custom.map(({ id, label, template }) => ({
+        type: id,
+        label,
+        icon: CUSTOM_LINK_ICON,
+        template,
+        custom: true
+      }))
+    ]
+  },
+
+  /**
+   * 获取设置中启用的链接格式，用于生成复制按钮
+   * @param {Object} settings - 上传设置
+   * @returns {Array<{type: string, label: string, icon: string, template: string}>}
+   */
+  getLinkFormats(settings) {
+    const { enabled, custom } = { ...DEFAULT_SETTINGS.linkFormats, ...settings?.linkFormats }
+    const formats = this.getAllLinkFormats(custom)
+    return enabled
+      .map(type => formats.find(format => format.type === type))
+      .filter(Boolean)
+  },
+
+  /**
+   * 按模板生成链接文本
+   * 尺寸未知时移除模板中空的 width / height 属性
+   * @param {string} template - 链接模板
+   * @param {Object} link - 占位符取值
+   * @param {string} link.url - 图片地址
+   * @param {string} [link.filename] - 文件名
+   * @param {string} [link.key] - 存储路径
+   * @param {number} [link.width] - 图片宽度
+   * @param {number} [link.height] - 图片高度
+   * @returns {string}
+   */
+  renderLink(template, { url, filename = '', key = '', width, height }) {
+    const values = {
+      url,
+      filename,
+      key,
+      width: width ?? '',
+      height: height ?? '',
+      alt: filename.replace(/\.[^.]+$/, '')
+    }
+    return template
+      .replace(/\{(\w+)\}/g, (match, name) => (name in values ? String(values[name]) : match))
+      .replace(/\s(?:width|height)=""/g, '')
+  },
+
+  /**
+   * 复制按钮的提示文本，私有存储的签名链接注明有效期
+   * @param {Object} format - 链接格式
+   * @param {Date} [expiresAt] - 签名链接的过期时间
+   * @returns {string}
+   */
+  getCopyLabel(format, expiresAt) {
+    const label = `复制${format.label}`
+    return expiresAt ? `${label}（${this.formatExpiry(expiresAt)}）` : label
+  },
+
   /**
    * 复制图片链接到剪贴板
-   * @param {string} url - 图片URL
-   * @param {string} filename - 文件名
-   * @param {string} format - 复制格式 ('url'|'md'|'html')
+   * @param {Object} link - 占位符取值，见 renderLink
+   * @param {Object} format - 链接格式，来自 getLinkFormats
+   * @param {Date} [expiresAt] - 签名链接的过期时间，私有存储时传入
    */
-  async copyImageUrl(url, filename, format) {
+  async copyImageUrl(link, format, expiresAt) {
+    if (!link.url) {
+      ElMessage.warning('该文件没有可直接访问的链接，请在图库中下载')
+      return
+    }
+    if (expiresAt && new Date(expiresAt) <= Date.now()) {
+      ElMessage.warning('链接已过期，请刷新后重新复制')
+      return
+    }
+
     try {
-      let copyText = url
-      switch(format) {
-        case 'md':
-          copyText = `![${filename}](${url})`
-          break
-        case 'html':
-          copyText = `<img src="${url}" alt="${filename}" />`
-          break
-        default:
-          copyText = url
-      }
-      await navigator.clipboard.writeText(copyText)
-      ElMessage.success('链接已复制到剪贴板')
+      await navigator.clipboard.writeText(this.renderLink(format.template, link))
+      ElMessage.success(expiresAt
+        ? `链接已复制到剪贴板，${this.formatExpiry(expiresAt)}`
+        : '链接已复制到剪贴板')
+    } catch (err) {
+      ElMessage.error('复制失败，请手动复制')
+    }
+  },
+
+  /**
+   * 批量复制链接到剪贴板，每张图片一行
+   * @param {Array<Object>} links - 占位符取值，见 renderLink；可带 expiresAt
+   * @param {Object} format - 链接格式，来自 getLinkFormats
+   */
+  async copyImageUrls(links, format) {
+    // 分片上传等没有直接访问地址的文件不复制
+    const linkable = links.filter(link => link.url)
+    if (linkable.length === 0) {
+      ElMessage.warning('所选文件没有可直接访问的链接')
+      return
+    }
+    if (linkable.some(link => link.expiresAt && new Date(link.expiresAt) <= Date.now())) {
+      ElMessage.warning('部分链接已过期，请刷新后重新复制')
+      return
+    }
+
+    try {
+      const text = linkable.map(link => this.renderLink(format.template, link)).join('\n')
+      await navigator.clipboard.writeText(text)
+      const skipped = links.length - linkable.length
+      ElMessage.success(`已复制 ${linkable.length} 条链接到剪贴板${skipped ? `，${skipped} 个文件没有直接链接` : ''}`)
     } catch (err) {
       ElMessage.error('复制失败，请手动复制')
     }
   },
 
+  /**
+   * 读取图片尺寸，无法解码时返回空对象
+   * @param {Blob} file - 图片文件
+   * @returns {Promise<{width?: number, height?: number}>}
+   */
+  async readDimensions(file) {
+    try {
+      const bitmap = await createImageBitmap(file)
+      const { width, height } = bitmap
+      bitmap.close()
+      return { width, height }
+    } catch {
+      return {}
+    }
+  },
+
+  /**
+   * 读取 EXIF 中的拍摄信息，没有 EXIF 或无法解析时返回 null
+   * @param {Blob|ArrayBuffer} data - 图片内容
+   * @returns {Promise<{make?: string, model?: string, lens?: string, takenAt?: Date, exposureTime?: number,
+   *   fNumber?: number, iso?: number, focalLength?: number, orientation?: number, latitude?: number, longitude?: number}|null>}
+   */
+  async readExif(data) {
+    try {
+      const exif = await exifr.parse(data, { tiff: true, exif: true, gps: true, translateValues: false })
+      if (!exif) return null
+      return {
+        make: exif.Make,
+        model: exif.Model,
+        lens: exif.LensModel,
+        takenAt: exif.DateTimeOriginal || exif.CreateDate,
+        exposureTime: exif.ExposureTime,
+        fNumber: exif.FNumber,
+        iso: exif.ISO,
+        focalLength: exif.FocalLength,
+        orientation: exif.Orientation,
+        latitude: exif.latitude,
+        longitude: exif.longitude
+      }
+    } catch {
+      return null
+    }
+  },
+
+  /**
+   * 格式化文件大小
+   * @param {number} size - 字节数
+   * @returns {string}
+   */
+  formatFileSize(size) {
+    if (size < 1024) return size + ' B'
+    if (size < 1024 * 1024) return (size / 1024).toFixed(1) + ' KB'
+    return (size / (1024 * 1024)).toFixed(1) + ' MB'
+  },
+
+  /**
+   * 描述签名链接的剩余有效期
+   * @param {Date} expiresAt - 过期时间
+   * @returns {string} 如「2 小时后过期」
+   */
+  formatExpiry(expiresAt) {
+    const minutes = Math.floor((new Date(expiresAt) - Date.now()) / 60000)
+    if (minutes <= 0) return '链接已过期'
+    if (minutes < 60) return `${minutes} 分钟后过期`
+    if (minutes < 24 * 60) return `${Math.floor(minutes / 60)} 小时后过期`
+    return `${Math.floor(minutes / (24 * 60))} 天后过期`
+  },
+
   /**
    * 删除图片
    * @param {Object} storage - 存储实例
@@ -40,10 +208,12 @@ export const ImageHelper = {
         type: 'warning'
       })
 
-      if (image.key) {
-        await storage.delete(image.key)
+      const result = image.key ? await storage.delete(image.key) : null
+      if (result?.localOnly) {
+        ElMessage.warning('该记录缺少消息信息，仅从本地索引移除，请在频道中手动删除')
+      } else {
+        ElMessage.success('删除成功')
       }
-      ElMessage.success('删除成功')
       onSuccess && onSuccess()
 
     } catch (err) {
@@ -53,6 +223,94 @@ export const ImageHelper = {
     }
   },
 
+  /**
+   * 批量删除图片，只确认一次
+   * @param {Object} storage - 存储实例
+   * @param {Array<Object>} images - 图片对象
+   * @param {Function} onSuccess - 删除完成的回调，参数为已删除的 key 列表
+   */
+  async deleteImages(storage, images, onSuccess) {
+    try {
+      await ElMessageBox.confirm(`确定要删除选中的 ${images.length} 张图片吗？`, '提示', {
+        confirmButtonText: '确定',
+        cancelButtonText: '取消',
+        type: 'warning'
+      })
+    } catch {
+      return
+    }
+
+    try {
+      const { deleted, failed } = await storage.deleteMany(images.map(image => image.key))
+      if (failed.length > 0) {
+        console.error('批量删除失败:', failed)
+        ElMessage.warning(`已删除 ${deleted.length} 张，${failed.length} 张删除失败：${failed[0].error.message}`)
+      } else {
+        ElMessage.success(`已删除 ${deleted.length} 张图片`)
+      }
+      onSuccess && onSuccess(deleted)
+    } catch (err) {
+      ElMessage.error('删除失败：' + err.message)
+    }
+  },
+
+  /**
+   * 将图片逐个读取并打包为 ZIP 下载
+   * 浏览器支持 showSaveFilePicker 时直接流式写入磁盘，否则在内存中生成后下载
+   * @param {Object} storage - 存储实例
+   * @param {Array<Object>} images - 图片对象
+   * @param {string} filename - ZIP 文件名
+   * @param {Function} [onProgress] - 进度回调 (done, total)
+   * @returns {Promise<{failed: Array<{key: string, error: Error}>}|null>} 用户取消保存时返回 null
+   */
+  async downloadImages(storage, images, filename, onProgress) {
+    let writable = null
+    if (window.showSaveFilePicker) {
+      try {
+        const handle = await window.showSaveFilePicker({
+          suggestedName: filename,
+          types: [{ description: 'ZIP 压缩包', accept: { 'application/zip': ['.zip'] } }]
+        })
+        writable = await handle.createWritable()
+      } catch (err) {
+        if (err.name === 'AbortError') return null
+        // 其他错误（如跨域 iframe 中不可用）退回到内存下载
+      }
+    }
+
+    const failed = []
+    let done = 0
+    // 生成器在上一个文件写入 ZIP 后才会继续，读取失败的文件跳过
+    async function* entries() {
+      for (const image of images) {
+        try {
+          const response = await storage.getObject(image)
+          yield {
+            name: image.key,
+            input: response,
+            lastModified: image.lastModified ? new Date(image.lastModified) : new Date()
+          }
+        } catch (error) {
+          failed.push({ key: image.key, error })
+        }
+        onProgress && onProgress(++done, images.length)
+      }
+    }
+
+    const zip = downloadZip(entries())
+    if (writable) {
+      await zip.body.pipeTo(writable)
+    } else {
+      const url = URL.createObjectURL(await zip.blob())
+      const link = document.createElement('a')
+      link.href = url
+      link.download = filename
+      link.click()
+      setTimeout(() => URL.revokeObjectURL(url), 1000)
+    }
+    return { failed }
+  },
+
   /**
    * 批量清除图片
    * @param {Function} onSuccess - 清除成功的回调
@@ -0,0 +1,256 @@
+import exifr from 'exifr'
+
+// TIFF 各数据类型的字节数
+const TYPE_SIZES = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 6: 1, 7: 1, 8: 2, 9: 4, 10: 8, 11: 4, 12: 8 }
+
+const TAG_ORIENTATION = 0x0112
+const TAG_EXIF_IFD = 0x8769
+const TAG_GPS_IFD = 0x8825
+
+// 设备信息：厂商、型号、软件、MakerNote、机主、机身和镜头序列号、镜头信息
+const DEVICE_TAGS = [0x010F, 0x0110, 0x0131, 0x927C, 0xA430, 0xA431, 0xA432, 0xA433, 0xA434, 0xA435]
+
+const EXIF_HEADER = [0x45, 0x78, 0x69, 0x66, 0x00, 0x00]
+const ICC_HEADER = 'ICC_PROFILE'
+
+const startsWith = (bytes, start, header) => header.every((byte, index) => bytes[start + index] === byte)
+const readAscii = (bytes, start, length) => String.fromCharCode(...bytes.subarray(start, start + length))
+
+/**
+ * 读取 JPEG 图像数据前的分段
+ * @returns {{segments: Array<{marker: number, start: number, end: number}>, dataStart: number}|null}
+ */
+const readJpegSegments = (bytes) => {
+  if (bytes[0] !== 0xFF || bytes[1] !== 0xD8) return null
+
+  const segments = []
+  let offset = 2
+  while (offset + 4 <= bytes.length) {
+    if (bytes[offset] !== 0xFF) return null
+    const marker = bytes[offset + 1]
+    // 填充字节
+    if (marker === 0xFF) {
+      offset++
+      continue
+    }
+    // SOS 之后为压缩数据
+    if (marker === 0xDA) break
+
+    const end = offset + 2 + ((bytes[offset + 2] << 8) | bytes[offset + 3])
+    if (end > bytes.length) return null
+    segments.push({ marker, start: offset, end })
+    offset = end
+  }
+  return { segments, dataStart: offset }
+}
+
+// 图像数据结束位置，之后可能附带多图格式（MPF）的其他图片
+const findJpegEnd = (bytes, dataStart) => {
+  for (let offset = dataStart; offset < bytes.length - 1; offset++) {
+    if (bytes[offset] === 0xFF && bytes[offset + 1] === 0xD9) return offset + 2
+  }
+  return bytes.length
+}
+
+// 移除元数据时保留的分段：JFIF、ICC 颜色配置、Adobe 颜色变换，以及所有非 APP 的编码参数
+const isKeptSegment = (bytes, { marker, start }) => {
+  if (marker === 0xE0 || marker === 0xEE) return true
+  if (marker === 0xE2) return readAscii(bytes, start + 4, ICC_HEADER.length) === ICC_HEADER
+  return !(marker >= 0xE1 && marker <= 0xEF) && marker !== 0xFE
+}
+
+/**
+ * 清理 EXIF 数据：方向重置为 1，可选移除 GPS 和设备信息
+ * 删除的条目从 IFD 中移除，值所在的字节清零
+ * @param {Uint8Array} segment - APP1 分段内容，以 Exif\0\0 开头
+ * @param {boolean} removePrivate - 是否移除 GPS 和设备信息
+ * @returns {Uint8Array|null} 无法解析时返回 null
+ */
+const sanitizeExif = (segment, removePrivate) => {
+  try {
+    const bytes = segment.slice()
+    const base = EXIF_HEADER.length
+    const view = new DataView(bytes.buffer, base)
+    const little = view.getUint16(0) === 0x4949
+    const u16 = (offset) => view.getUint16(offset, little)
+    const u32 = (offset) => view.getUint32(offset, little)
+    const clear = (start, size) => bytes.fill(0, base + start, base + start + size)
+
+    const readEntries = (ifd) => Array.from({ length: u16(ifd) }, (_, index) => {
+      const offset = ifd + 2 + index * 12
+      const size = (TYPE_SIZES[u16(offset + 2)] || 1) * u32(offset + 4)
+      return { offset, tag: u16(offset), size, valueOffset: size > 4 ? u32(offset + 8) : null }
+    })
+    const nextIfd = (ifd) => u32(ifd + 2 + u16(ifd) * 12)
+
+    // 移除条目：后续条目和下一个 IFD 的指针前移，末尾清零
+    const removeEntry = (ifd, index, entry) => {
+      const count = u16(ifd)
+      if (entry.valueOffset !== null) clear(entry.valueOffset, entry.size)
+      const tailEnd = base + ifd + 2 + count * 12 + 4
+      bytes.copyWithin(base + entry.offset, base + entry.offset + 12, tailEnd)
+      bytes.fill(0, tailEnd - 12, tailEnd)
+      view.setUint16(ifd, count - 1, little)
+    }
+
+    const clearIfd = (ifd) => {
+      readEntries(ifd).forEach(entry => {
+        if (entry.valueOffset !== null) clear(entry.valueOffset, entry.size)
+      })
+      clear(ifd, 2 + u16(ifd) * 12 + 4)
+    }
+
+    const sanitizeIfd = (ifd) => {
+      const entries = readEntries(ifd)
+      // 倒序处理，移除条目不影响前面条目的位置
+      for (let index = entries.length - 1; index >= 0; index--) {
+        const entry = entries[index]
+        if (entry.tag === TAG_ORIENTATION) {
+          view.setUint16(entry.offset + 8, 1, little)
+        } else if (entry.tag === TAG_EXIF_IFD) {
+          sanitizeIfd(u32(entry.offset + 8))
+        } else if (removePrivate && entry.tag === TAG_GPS_IFD) {
+          clearIfd(u32(entry.offset + 8))
+          removeEntry(ifd, index, entry)
+        } else if (removePrivate && DEVICE_TAGS.includes(entry.tag)) {
+          removeEntry(ifd, index, entry)
+        }
+      }
+    }
+
+    const ifd0 = u32(4)
+    sanitizeIfd(ifd0)
+    // IFD1 为缩略图
+    const ifd1 = nextIfd(ifd0)
+    if (ifd1) sanitizeIfd(ifd1)
+    return bytes
+  } catch {
+    return null
+  }
+}
+
+/**
+ * 重建 JPEG：移除全部元数据分段和 EOI 之后的数据，可插入新的 EXIF
+ * @param {Uint8Array} bytes - JPEG 文件
+ * @param {Uint8Array|null} exif - 要插入的 APP1 分段内容
+ * @returns {Blob|null} 无法解析时返回 null
+ */
+const rebuildJpeg = (bytes, exif) => {
+  const parsed = readJpegSegments(bytes)
+  if (!parsed) return null
+
+  const parts = [bytes.subarray(0, 2)]
+  const kept = parsed.segments.filter(segment => isKeptSegment(bytes, segment))
+  // EXIF 放在 JFIF 之后
+  const jfifCount = kept[0]?.marker === 0xE0 ? 1 : 0
+  kept.slice(0, jfifCount).forEach(({ start, end }) => parts.push(bytes.subarray(start, end)))
+  if (exif) {
+    const length = exif.length + 2
+    parts.push(new Uint8Array([0xFF, 0xE1, length >> 8, length & 0xFF]), exif)
+  }
+  kept.slice(jfifCount).forEach(({ start, end }) => parts.push(bytes.subarray(start, end)))
+  parts.push(bytes.subarray(parsed.dataStart, findJpegEnd(bytes, parsed.dataStart)))
+  return new Blob(parts)
+}
+
+// 取出 JPEG 中的 EXIF 分段内容
+const extractExif = (bytes) => {
+  const parsed = readJpegSegments(bytes)
+  const segment = parsed?.segments.find(({ marker, start }) => marker === 0xE1 && startsWith(bytes, start + 4, EXIF_HEADER))
+  return segment ? bytes.subarray(segment.start + 4, segment.end) : null
+}
+
+/**
+ * 读取 WebP 的元数据分块，EXIF、XMP 位于独立的 RIFF 分块中，exifr 无法直接读取
+ * EXIF 分块的内容为 TIFF 数据，部分编码器会加上 Exif\0\0 前缀
+ * @returns {Promise<{hasMetadata: boolean, exif: Uint8Array|null}>} exif 为去掉前缀的 TIFF 数据
+ */
+const readWebpMetadata = async (file) => {
+  const bytes = new Uint8Array(await file.arrayBuffer())
+  const result = { hasMetadata: false, exif: null }
+  let offset = 12
+  while (offset + 8 <= bytes.length) {
+    const fourcc = readAscii(bytes, offset, 4)
+    const size = new DataView(bytes.buffer, offset + 4, 4).getUint32(0, true)
+    if (fourcc === 'EXIF') {
+      const payload = bytes.slice(offset + 8, offset + 8 + size)
+      result.exif = startsWith(payload, 0, EXIF_HEADER) ? payload.slice(EXIF_HEADER.length) : payload
+    }
+    if (fourcc === 'EXIF' || fourcc === 'XMP ') result.hasMetadata = true
+    offset += 8 + size + (size % 2)
+  }
+  return result
+}
+
+export const ImageMetadata = {
+  /**
+   * 读取图片的方向和元数据情况
+   * exifSize 为 JPEG 中 EXIF 分段的字节数，重新编码后写回时会增加文件大小
+   * @param {File} file - 原图
+   * @returns {Promise<{orientation: number, hasGps: boolean, hasMetadata: boolean, exifSize: number}>}
+   */
+  async inspect(file) {
+    const result = { orientation: 1, hasGps: false, hasMetadata: false, exifSize: 0 }
+    try {
+      let source = file
+      if (file.type === 'image/webp') {
+        const { hasMetadata, exif } = await readWebpMetadata(file)
+        result.hasMetadata = hasMetadata
+        if (!exif) return result
+        source = exif
+      }
+
+      if (file.type === 'image/jpeg') {
+        const exif = extractExif(new Uint8Array(await file.arrayBuffer()))
+        result.exifSize = exif ? exif.length + 4 : 0
+      }
+
+      const data = await exifr.parse(source, { tiff: true, gps: true, xmp: true, iptc: true, translateValues: false })
+      if (!data) return result
+      return {
+        ...result,
+        orientation: data.Orientation || 1,
+        hasGps: Number.isFinite(data.latitude) || 'GPSLatitude' in data,
+        hasMetadata: true
+      }
+    } catch {
+      return result
+    }
+  },
+
+  /**
+   * 按设置处理输出文件的元数据
+   * 重新编码的 JPEG 会写回原图 EXIF（方向重置为 1）；其他格式重新编码后不含元数据
+   * @param {File} output - 压缩后的文件，未处理时与 source 相同
+   * @param {File} source - 原图
+   * @param {{hasGps: boolean, hasMetadata: boolean}} metadata - inspect 的结果
+   * @param {'strip-all'|'strip-private'|'preserve'} mode - 元数据处理方式
+   * @returns {Promise<{file: File, gpsRemoved: boolean}>}
+   */
+  async apply(output, source, metadata, mode) {
+    const untouched = output === source
+    if (output.type !== 'image/jpeg') {
+      return { file: output, gpsRemoved: metadata.hasGps && !untouched }
+    }
+    if (untouched && (mode === 'preserve' || !metadata.hasMetadata)) {
+      return { file: output, gpsRemoved: false }
+    }
+
+    const sourceExif = mode !== 'strip-all' && source.type === 'image/jpeg'
+      ? extractExif(new Uint8Array(await source.arrayBuffer()))
+      : null
+    const exif = sourceExif && sanitizeExif(sourceExif, mode === 'strip-private')
+    const blob = rebuildJpeg(new Uint8Array(await output.arrayBuffer()), exif)
+    if (!blob) {
+      if (mode === 'preserve') return { file: output, gpsRemoved: false }
+      throw new Error('无法解析 JPEG 元数据')
+    }
+
+    return {
+      file: new File([blob], output.name, { type: output.type, lastModified: output.lastModified }),
+      gpsRemoved: metadata.hasGps && (mode !== 'preserve' || !exif)
+    }
+  }
+}
+
+export default ImageMetadata
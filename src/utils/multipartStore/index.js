@@ -0,0 +1,108 @@
+const DB_NAME = 'pix-ruom'
+const DB_VERSION = 1
+const STORE_NAME = 'multipartUploads'
+
+// 计算文件指纹时每次读取的字节数，分块读取避免大文件一次性载入内存
+const HASH_CHUNK_SIZE = 4 * 1024 * 1024
+
+let dbPromise = null
+
+/**
+ * 打开 IndexedDB 数据库
+ * @returns {Promise<IDBDatabase>}
+ */
+const openDatabase = () => {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION)
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(STORE_NAME, { keyPath: 'id' })
+      }
+      request.onsuccess = () => resolve(request.result)
+      request.onerror = () => {
+        dbPromise = null
+        reject(request.error)
+      }
+    })
+  }
+  return dbPromise
+}
+
+/**
+ * 在对象仓库上执行一次请求
+ * @param {IDBTransactionMode} mode - 事务模式
+ * @param {Function} operation - 接收 store 并返回 IDBRequest 的函数
+ */
+const withStore = async (mode, operation) => {
+  const db = await openDatabase()
+  return new Promise((resolve, reject) => {
+    const request = operation(db.transaction(STORE_NAME, mode).objectStore(STORE_NAME))
+    request.onsuccess = () => resolve(request.result)
+    request.onerror = () => reject(request.error)
+  })
+}
+
+/**
+ * 分片上传记录存储
+ * 在 IndexedDB 中保存未完成的分片上传（UploadId、已完成分片等），页面刷新后可继续上传
+ */
+export class MultipartStore {
+  /**
+   * 计算文件指纹，用于识别同一文件的重复上传
+   * 压缩后的文件每次生成新的 lastModified，因此使用名称、大小和完整内容的哈希：
+   * 逐块计算 SHA-256，再对各块摘要计算总摘要，内容不同的文件不会续传彼此的分片
+   * @param {File} file - 文件对象
+   * @param {string} scope - 作用域，通常为存储类型和 Bucket
+   * @returns {Promise<string>}
+   */
+  static async fingerprint(file, scope) {
+    const chunkDigests = []
+    for (let start = 0; start < file.size || start === 0; start += HASH_CHUNK_SIZE) {
+      const chunk = await file.slice(start, start + HASH_CHUNK_SIZE).arrayBuffer()
+      chunkDigests.push(new Uint8Array(await crypto.subtle.digest('SHA-256', chunk)))
+    }
+    const digest = await crypto.subtle.digest('SHA-256', await new Blob(chunkDigests).arrayBuffer())
+    const hash = Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('')
+    return `${scope}:${file.name}:${file.size}:${hash}`
+  }
+
+  /**
+   * 读取上传记录
+   * @param {string} id - 记录ID
+   * @returns {Promise<Object|null>}
+   */
+  static async get(id) {
+    try {
+      return (await withStore('readonly', store => store.get(id))) || null
+    } catch (error) {
+      console.error('读取分片上传记录失败:', error)
+      return null
+    }
+  }
+
+  /**
+   * 保存上传记录
+   * @param {Object} record - 记录，需包含 id
+   */
+  static async put(record) {
+    try {
+      await withStore('readwrite', store => store.put({ ...record, updatedAt: Date.now() }))
+    } catch (error) {
+      console.error('保存分片上传记录失败:', error)
+    }
+  }
+
+  /**
+   * 删除上传记录
+   * @param {string} id - 记录ID
+   */
+  static async delete(id) {
+    try {
+      await withStore('readwrite', store => store.delete(id))
+    } catch (error) {
+      console.error('删除分片上传记录失败:', error)
+    }
+  }
+}
+
+export default MultipartStore
@@ -0,0 +1,119 @@
+const pad = (value) => String(value).padStart(2, '0')
+
+const RANDOM_CHARS = 'abcdefghijklmnopqrstuvwxyz0123456789'
+
+/**
+ * 生成指定长度的随机字符串
+ * @param {number} length - 长度
+ */
+const randomString = (length) => {
+  const bytes = crypto.getRandomValues(new Uint8Array(length))
+  return Array.from(bytes, byte => RANDOM_CHARS[byte % RANDOM_CHARS.length]).join('')
+}
+
+// 模板变量：render 接收渲染上下文和变量参数（{random:N} 中的 N）
+export const TEMPLATE_VARIABLES = {
+  year: { label: '年份', render: ({ date }) => String(date.getFullYear()) },
+  month: { label: '月份', render: ({ date }) => pad(date.getMonth() + 1) },
+  day: { label: '日期', render: ({ date }) => pad(date.getDate()) },
+  hour: { label: '小时', render: ({ date }) => pad(date.getHours()) },
+  minute: { label: '分钟', render: ({ date }) => pad(date.getMinutes()) },
+  second: { label: '秒', render: ({ date }) => pad(date.getSeconds()) },
+  timestamp: { label: '毫秒时间戳', render: ({ date }) => String(date.getTime()) },
+  uuid: { label: 'UUID', render: () => crypto.randomUUID() },
+  random: {
+    label: '随机字符，N 为长度',
+    arg: { default: 8, max: 32 },
+    render: (context, length) => randomString(length)
+  },
+  hash: {
+    label: 'SHA-256，N 为保留的字符数',
+    arg: { default: 64, max: 64 },
+    render: ({ hash }, length) => hash.slice(0, length)
+  },
+  original: {
+    label: '原文件名（不含扩展名）',
+    render: ({ filename }) => filename.split('.')[0]
+      .replace(/[^a-zA-Z0-9-_.]/g, '-')
+      .replace(/-+/g, '-')
+      .replace(/^-+|-+$/g, '')
+  },
+  ext: { label: '扩展名', render: ({ filename }) => filename.split('.').pop().toLowerCase() },
+  width: { label: '图片宽度', render: ({ width }) => String(width ?? 0) },
+  height: { label: '图片高度', render: ({ height }) => String(height ?? 0) },
+  storage: { label: '存储类型', render: ({ storage }) => storage || '' }
+}
+
+const VARIABLE_PATTERN = /\{(\w+)(?::(\d+))?\}/g
+
+// 对象存储和 WebDAV 路径中容易出问题的字符
+const INVALID_CHARS = /[\\:*?"<>|]/
+
+/**
+ * 检查模板是否有效
+ * @param {string} template - 模板
+ * @returns {string|null} 错误信息，有效时返回 null
+ */
+export const validateTemplate = (template) => {
+  if (!template?.trim()) {
+    return '模板不能为空'
+  }
+
+  // 去掉合法变量后不应再有花括号
+  let error = null
+  const rest = template.replace(VARIABLE_PATTERN, (match, name, arg) => {
+    const variable = TEMPLATE_VARIABLES[name]
+    if (!variable) {
+      error ??= `未知变量 {${name}}`
+    } else if (arg !== undefined && !variable.arg) {
+      error ??= `变量 {${name}} 不支持参数`
+    } else if (arg !== undefined && (Number(arg) < 1 || Number(arg) > variable.arg.max)) {
+      error ??= `变量 {${name}} 的参数应在 1-${variable.arg.max} 之间`
+    }
+    return ''
+  })
+
+  if (error) return error
+  if (/[{}]/.test(rest)) {
+    return '花括号不匹配或变量格式错误'
+  }
+  if (INVALID_CHARS.test(rest)) {
+    return '模板包含非法字符 \\ : * ? " < > |'
+  }
+  return null
+}
+
+/**
+ * 检查模板中是否使用了指定变量
+ * @param {string} template - 模板
+ * @param {...string} names - 变量名
+ * @returns {boolean}
+ */
+export const usesVariable = (template, ...names) => {
+  return Array.from(template.matchAll(VARIABLE_PATTERN)).some(([, name]) => names.includes(name))
+}
+
+/**
+ * 渲染模板，同一变量可出现多次
+ * @param {string} template - 模板
+ * @param {Object} context - 渲染上下文
+ * @param {Date} [context.date] - 时间，默认当前时间
+ * @param {string} context.filename - 文件名
+ * @param {string} [context.hash] - 文件的 SHA-256，使用 {hash} 时必须提供
+ * @param {number} [context.width] - 图片宽度
+ * @param {number} [context.height] - 图片高度
+ * @param {string} [context.storage] - 存储类型
+ * @returns {string}
+ */
+export const renderTemplate = (template, context) => {
+  const fullContext = { date: new Date(), ...context }
+
+  return template.replace(VARIABLE_PATTERN, (match, name, arg) => {
+    const variable = TEMPLATE_VARIABLES[name]
+    if (!variable) return match
+    if (name === 'hash' && !fullContext.hash) {
+      throw new Error('使用 {hash} 变量需要先计算文件哈希')
+    }
+    return variable.render(fullContext, arg ? Number(arg) : variable.arg?.default)
+  })
+}
@@ -6,21 +6,37 @@ export class BaseStorage {
      * @param {Object} config - 配置对象
      * @param {string} config.bucket - 存储桶名称
      * @param {string} [config.customDomain] - 自定义域名
+     * @param {string} [config.access] - 访问权限，private 时不设置公共读 ACL，访问地址使用签名链接
+     * @param {string|number} [config.urlExpires] - 签名链接有效期（秒）
      * @param {Object} config.fileManager - 文件管理器实例
+     * @param {Object} [config.multipart] - 分片上传配置
+     * @param {number} [config.multipart.threshold] - 超过该大小（字节）的文件使用分片上传
+     * @param {number} [config.multipart.partSize] - 分片大小（字节）
      */
     constructor(config) {
       this.config = config
       this.bucket = config.bucket
       this.customDomain = config.customDomain
       this.fileManager = config.fileManager
+      this.isPrivate = config.access === 'private'
+      this.urlExpires = Number(config.urlExpires) || 3600
+      this.multipart = {
+        threshold: 20 * 1024 * 1024,
+        partSize: 5 * 1024 * 1024,
+        ...config.multipart
+      }
     }
   
     /**
      * 上传文件
      * @param {File} file - 文件对象
-     * @returns {Promise<{url: string, key: string}>}
+     * @param {Object} [options] - 上传选项
+     * @param {Function} [options.onProgress] - 进度回调，参数为 0-100 的百分比
+     * @param {AbortSignal} [options.signal] - 用于取消上传的信号，取消时抛出 AbortError
+     * @returns {Promise<{url: string, key: string, expiresAt?: Date, existing?: boolean}>}
+     *   私有模式下 url 为签名链接，expiresAt 为过期时间；existing 表示文件已存在，未重复上传
      */
-    async upload(file) {
+    async upload(file, options = {}) {
       throw new Error('需要实现upload方法')
     }
   
@@ -34,13 +50,165 @@ export class BaseStorage {
     }
   
     /**
-     * 获取文件列表
+     * 批量删除文件
+     * 默认逐个调用 delete，支持批量删除接口的存储可覆盖此方法
+     * @param {string[]} keys - 文件标识符列表
+     * @returns {Promise<{deleted: string[], failed: Array<{key: string, error: Error}>}>}
+     */
+    async deleteMany(keys) {
+      const result = { deleted: [], failed: [] }
+      for (const key of keys) {
+        try {
+          await this.delete(key)
+          result.deleted.push(key)
+        } catch (error) {
+          result.failed.push({ key, error })
+        }
+      }
+      return result
+    }
+  
+    /**
+     * 是否支持重命名和移动文件
+     * @returns {boolean}
+     */
+    supportsMove() {
+      return false
+    }
+  
+    /**
+     * 在存储内复制文件，目标已存在时会被覆盖，调用方需先检查
+     * @param {string} srcKey - 源文件标识符
+     * @param {string} dstKey - 目标文件标识符
+     * @returns {Promise<{url: string, key: string, expiresAt?: Date}>} 目标文件的访问地址
+     */
+    async copy(srcKey, dstKey) {
+      throw new Error('当前存储不支持复制文件')
+    }
+  
+    /**
+     * 移动或重命名文件，默认先复制再删除源文件
+     * @param {string} srcKey - 源文件标识符
+     * @param {string} dstKey - 目标文件标识符
+     * @returns {Promise<{url: string, key: string, expiresAt?: Date}>} 目标文件的访问地址
+     */
+    async move(srcKey, dstKey) {
+      const result = await this.copy(srcKey, dstKey)
+      await this.delete(srcKey)
+      return result
+    }
+  
+    /**
+     * 读取文件内容，用于打包下载
+     * @param {{key: string, url: string}} item - listObjects 返回的文件
+     * @returns {Promise<Response>}
+     */
+    async getObject(item) {
+      const response = await fetch(item.url)
+      if (!response.ok) {
+        const error = new Error(`下载失败：HTTP ${response.status}`)
+        error.status = response.status
+        throw error
+      }
+      return response
+    }
+  
+    /**
+     * 获取文件详情
+     * 不支持读取单个文件信息的存储返回 null，由调用方使用列表中的信息
+     * @param {string} key - 文件标识符
+     * @returns {Promise<{key: string, size?: number, contentType?: string, lastModified?: Date, etag?: string, metadata: Object<string, string>}|null>}
+     *   metadata 为自定义元数据或存储特有的信息
+     */
+    async getObjectInfo(key) {
+      return null
+    }
+  
+    /**
+     * 分页获取文件列表
      * @param {string} prefix - 前缀
-     * @returns {Promise<Array<{key: string, url: string, lastModified: Date, size: number}>>}
+     * @param {Object} [options] - 分页选项
+     * @param {string} [options.cursor] - 上一页返回的 nextCursor，为空时从第一页开始
+     * @param {number} [options.limit] - 每页数量，部分存储只作为参考值
+     * @param {string} [options.delimiter] - 目录分隔符，指定时只返回当前目录下的文件，子目录通过 prefixes 返回
+     * @param {boolean} [options.resolveUrls] - 是否生成访问地址，默认为 true；为 false 时不返回 url，省去签名和额外请求
+     * @returns {Promise<{items: Array<{key: string, url: string, lastModified: Date, size: number, expiresAt?: Date}>, prefixes?: string[], nextCursor: string|null}>}
+     *   prefixes 为子目录前缀（以分隔符结尾），分页时可能在多页中重复出现；nextCursor 为 null 表示没有更多数据
      */
-    async listObjects(prefix) {
+    async listObjects(prefix, options = {}) {
       throw new Error('需要实现listObjects方法')
     }
+
+    /**
+     * 逐页遍历文件列表
+     * @param {string} prefix - 前缀
+     * @param {Object} [options] - 分页选项，见 listObjects
+     * @yields {Array<{key: string, url: string, lastModified: Date, size: number}>} 每一页的文件
+     */
+    async *iterateObjects(prefix, options = {}) {
+      let cursor = options.cursor
+      do {
+        const { items, nextCursor } = await this.listObjects(prefix, { ...options, cursor })
+        yield items
+        cursor = nextCursor
+      } while (cursor)
+    }
+  
+    /**
+     * 获取前缀下的全部子目录
+     * @param {string} prefix - 前缀
+     * @param {string} [delimiter] - 目录分隔符
+     * @returns {Promise<string[]>} 按名称排序的子目录前缀
+     */
+    async listFolders(prefix, delimiter = '/') {
+      const prefixes = new Set()
+      let cursor = null
+      do {
+        const result = await this.listObjects(prefix, { cursor, limit: 1000, delimiter })
+        result.prefixes?.forEach(item => prefixes.add(item))
+        cursor = result.nextCursor
+      } while (cursor)
+      return [...prefixes].sort()
+    }
+  
+    /**
+     * 统计前缀下（含子目录）的文件数量，超过 max 时停止统计
+     * @param {string} prefix - 前缀
+     * @param {Object} [options]
+     * @param {number} [options.max] - 最多统计的数量
+     * @returns {Promise<{count: number, truncated: boolean}>} truncated 表示实际数量超过 max
+     */
+    async countObjects(prefix, { max = 1000 } = {}) {
+      let count = 0
+      // 统计只需要文件路径，不生成访问地址
+      for await (const items of this.iterateObjects(prefix, { limit: 1000, resolveUrls: false })) {
+        // 部分存储不支持按前缀过滤，这里再过滤一次
+        count += items.filter(item => item.key.startsWith(prefix)).length
+        if (count > max) {
+          return { count: max, truncated: true }
+        }
+      }
+      return { count, truncated: false }
+    }
+  
+    /**
+     * 文件路径是否按目录组织
+     * 为 false 时图库不按目录浏览，直接列出全部文件
+     * @returns {boolean}
+     */
+    isHierarchical() {
+      return true
+    }
+  
+    /**
+     * 检查文件是否已存在，用于内容哈希命名时跳过重复上传
+     * 无法按路径检查的存储始终返回 false
+     * @param {string} key - 文件标识符
+     * @returns {Promise<boolean>}
+     */
+    async exists(key) {
+      return false
+    }
   
     /**
      * 测试连接
@@ -50,6 +218,30 @@ export class BaseStorage {
       throw new Error('需要实现testConnection方法')
     }
   
+    /**
+     * 在客户端按分隔符归类文件，用于不支持按目录列出的存储
+     * @protected
+     * @param {Array<{key: string}>} items - 文件列表
+     * @param {string} prefix - 前缀
+     * @param {string} delimiter - 目录分隔符
+     * @returns {{items: Array, prefixes: string[]}} 当前目录下的文件和子目录前缀
+     */
+    _groupByDelimiter(items, prefix, delimiter) {
+      const files = []
+      const prefixes = new Set()
+      for (const item of items) {
+        if (!item.key.startsWith(prefix)) continue
+
+        const index = item.key.indexOf(delimiter, prefix.length)
+        if (index === -1) {
+          files.push(item)
+        } else {
+          prefixes.add(item.key.slice(0, index + delimiter.length))
+        }
+      }
+      return { items: files, prefixes: [...prefixes] }
+    }
+  
     /**
      * 统一的错误处理
      * @protected
@@ -58,8 +250,16 @@ export class BaseStorage {
      * @throws {Error} 包含详细错误信息的Error对象
      */
     _handleError(error, operation) {
+      // 主动取消不属于错误，原样抛出便于调用方识别
+      if (error?.name === 'AbortError') {
+        throw error
+      }
       console.error(`${operation}错误:`, error)
-      throw new Error(`${operation}失败：${this._parseError(error)}`)
+      const wrapped = new Error(`${operation}失败：${this._parseError(error)}`)
+      // 保留原始错误和状态码，供上传队列判断是否可以重试
+      wrapped.cause = error
+      wrapped.status = error?.status ?? error?.statusCode ?? error?.$metadata?.httpStatusCode
+      throw wrapped
     }
   
     /**
@@ -87,6 +287,138 @@ export class BaseStorage {
       return `${defaultDomain}/${key}`
     }
   
+    /**
+     * 生成上传路径并检查是否重复
+     * 路径包含内容哈希时，路径已存在即为同一文件，可直接复用；
+     * 路径同时含有日期等变量时，只能跳过同一天内的重复上传
+     * @protected
+     * @param {File} file - 处理后的文件
+     * @returns {Promise<{key: string, existing: boolean}>}
+     */
+    async _prepareKey(file) {
+      const key = await this.fileManager.resolvePath(file)
+      if (!this.fileManager.usesHash()) {
+        return { key, existing: false }
+      }
+
+      try {
+        return { key, existing: await this.exists(key) }
+      } catch (error) {
+        // 检查失败时照常上传
+        console.warn('检查文件是否存在失败:', error)
+        return { key, existing: false }
+      }
+    }
+  
+    /**
+     * 按批次调用批量删除接口，单个批次失败时该批次的文件全部记为失败
+     * @protected
+     * @param {string[]} keys - 文件标识符列表
+     * @param {number} batchSize - 每批数量
+     * @param {Function} deleteBatch - 删除一批文件，返回成功删除的标识符列表
+     * @returns {Promise<{deleted: string[], failed: Array<{key: string, error: Error}>}>}
+     */
+    async _deleteInBatches(keys, batchSize, deleteBatch) {
+      const result = { deleted: [], failed: [] }
+      for (let i = 0; i < keys.length; i += batchSize) {
+        const batch = keys.slice(i, i + batchSize)
+        try {
+          const deleted = new Set(await deleteBatch(batch))
+          batch.forEach(key => {
+            if (deleted.has(key)) {
+              result.deleted.push(key)
+            } else {
+              result.failed.push({ key, error: new Error('删除失败') })
+            }
+          })
+        } catch (error) {
+          console.error('批量删除错误:', error)
+          const wrapped = new Error(`删除失败：${this._parseError(error)}`)
+          batch.forEach(key => result.failed.push({ key, error: wrapped }))
+        }
+      }
+      return result
+    }
+  
+    /**
+     * 私有模式下签名链接的过期时间
+     * @protected
+     * @returns {Date}
+     */
+    _getExpiresAt() {
+      return new Date(Date.now() + this.urlExpires * 1000)
+    }
+  
+    /**
+     * 创建取消上传时抛出的错误
+     * @protected
+     * @returns {DOMException}
+     */
+    _createAbortError() {
+      return new DOMException('上传已取消', 'AbortError')
+    }
+  
+    /**
+     * 发送带上传进度的请求
+     * fetch 无法获取上传进度，此方法基于 XMLHttpRequest 实现，并返回与 fetch 一致的 Response
+     * @protected
+     * @param {string} url - 请求地址
+     * @param {Object} init - 请求参数
+     * @param {string} [init.method] - 请求方法，默认 POST
+     * @param {Object} [init.headers] - 请求头
+     * @param {*} [init.body] - 请求体
+     * @param {Object} [options] - 上传选项
+     * @param {Function} [options.onProgress] - 进度回调，参数为 0-100 的百分比
+     * @param {AbortSignal} [options.signal] - 取消信号
+     * @returns {Promise<Response>}
+     */
+    _uploadRequest(url, { method = 'POST', headers = {}, body } = {}, { onProgress, signal } = {}) {
+      return new Promise((resolve, reject) => {
+        if (signal?.aborted) {
+          reject(this._createAbortError())
+          return
+        }
+  
+        const xhr = new XMLHttpRequest()
+        xhr.open(method, url)
+        Object.entries(headers).forEach(([name, value]) => {
+          // User-Agent 属于浏览器禁止设置的请求头
+          if (name.toLowerCase() !== 'user-agent') {
+            xhr.setRequestHeader(name, value)
+          }
+        })
+  
+        const onAbort = () => xhr.abort()
+        signal?.addEventListener('abort', onAbort)
+        const cleanup = () => signal?.removeEventListener('abort', onAbort)
+  
+        xhr.upload.onprogress = (event) => {
+          if (event.lengthComputable) {
+            onProgress?.(Math.round((event.loaded / event.total) * 100))
+          }
+        }
+        xhr.onload = () => {
+          cleanup()
+          // 无响应体的状态码不能携带 body
+          const responseBody = [204, 205, 304].includes(xhr.status) ? null : xhr.responseText
+          resolve(new Response(responseBody, {
+            status: xhr.status,
+            statusText: xhr.statusText
+          }))
+        }
+        xhr.onerror = () => {
+          cleanup()
+          reject(new TypeError('NetworkError: failed to fetch'))
+        }
+        xhr.onabort = () => {
+          cleanup()
+          reject(this._createAbortError())
+        }
+  
+        xhr.send(body)
+      })
+    }
+  
     /**
      * 统一的连接测试结果格式化
      * @protected
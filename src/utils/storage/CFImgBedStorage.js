@@ -0,0 +1,246 @@
+import { BaseStorage } from './BaseStorage'
+
+/**
+ * CloudFlare-ImgBed 存储适配器
+ * 对接仓库内置的 CloudFlare-ImgBed 子模块所部署的图床
+ */
+export class CFImgBedStorage extends BaseStorage {
+  /**
+   * @param {Object} config - ImgBed配置
+   * @param {string} config.baseUrl - 图床地址，如 https://img.example.com
+   * @param {string} [config.authCode] - 上传认证码
+   * @param {string} [config.apiToken] - API Token，列表和删除等管理接口需要
+   * @param {string} [config.uploadChannel] - 上传渠道：telegram | cfr2 | s3
+   */
+  constructor(config) {
+    super(config)
+
+    const baseUrl = config.baseUrl.startsWith('http')
+      ? config.baseUrl
+      : `https://${config.baseUrl}`
+    this.baseUrl = baseUrl.replace(/\/+$/, '')
+    this.authCode = config.authCode || ''
+    this.apiToken = config.apiToken || ''
+    this.uploadChannel = config.uploadChannel || 'telegram'
+
+    this.defaultHeaders = this.apiToken
+      ? { Authorization: `Bearer ${this.apiToken}` }
+      : {}
+  }
+
+  async upload(file, { onProgress, signal } = {}) {
+    try {
+      const path = await this.fileManager.resolvePath(file)
+      const separator = path.lastIndexOf('/')
+      const folder = separator > -1 ? path.slice(0, separator) : ''
+      const filename = path.slice(separator + 1)
+
+      const params = new URLSearchParams({
+        uploadChannel: this.uploadChannel,
+        uploadNameType: 'origin',
+        returnFormat: 'default'
+      })
+      if (folder) params.set('uploadFolder', folder)
+      if (this.authCode) params.set('authCode', this.authCode)
+
+      const formData = new FormData()
+      formData.append('file', file, filename)
+
+      const response = await this._uploadRequest(`${this.baseUrl}/upload?${params}`, {
+        headers: this.defaultHeaders,
+        body: formData
+      }, { onProgress, signal })
+      const data = await this._parseResponse(response)
+
+      const src = Array.isArray(data) ? data[0]?.src : data?.src
+      if (!src) {
+        throw new Error('Failed to get file path from ImgBed response')
+      }
+
+      const key = this._srcToKey(src)
+      return {
+        url: this._generateUrl(`file/${key}`, this.baseUrl),
+        key
+      }
+    } catch (error) {
+      this._handleError(error, '上传')
+    }
+  }
+
+  async delete(key) {
+    try {
+      this._assertToken()
+      const encodedKey = key.split('/').map(encodeURIComponent).join('/')
+      const response = await fetch(`${this.baseUrl}/api/manage/delete/${encodedKey}`, {
+        method: 'GET',
+        headers: this.defaultHeaders
+      })
+      await this._parseResponse(response)
+    } catch (error) {
+      this._handleError(error, '删除')
+    }
+  }
+
+  /**
+   * 获取文件列表
+   * 游标为下一页的起始位置；按目录列出时子目录只在第一页返回
+   */
+  async listObjects(prefix = '', { cursor, limit = 100, delimiter } = {}) {
+    try {
+      this._assertToken()
+      const dir = prefix.replace(/^\/+|\/+$/g, '')
+      const start = Number(cursor) || 0
+      const { files, directories } = await this._listPage(dir, start, limit, !delimiter)
+
+      return {
+        items: files.map(item => ({
+          key: item.name,
+          lastModified: item.metadata?.TimeStamp ? new Date(item.metadata.TimeStamp) : null,
+          size: this._parseFileSize(item.metadata),
+          url: this._generateUrl(`file/${item.name}`, this.baseUrl)
+        })),
+        prefixes: delimiter && start === 0
+          ? directories.map(name => this._toDirectoryPrefix(dir, name))
+          : [],
+        nextCursor: files.length < limit ? null : String(start + files.length)
+      }
+    } catch (error) {
+      this._handleError(error, '获取文件列表')
+    }
+  }
+
+  async testConnection() {
+    try {
+      if (this.apiToken) {
+        await this._listPage('', 0, 1, true)
+      } else {
+        // 未配置 API Token 时仅检查图床是否可访问
+        const response = await fetch(this.baseUrl, { method: 'GET' })
+        if (!response.ok) {
+          const error = new Error(`ImgBed error: ${response.status}`)
+          error.status = response.status
+          throw error
+        }
+      }
+      return this._formatTestResult(true)
+    } catch (error) {
+      return this._formatTestResult(false, this._parseError(error))
+    }
+  }
+
+  /**
+   * 请求一页文件列表
+   * @private
+   * @param {string} dir - 目录
+   * @param {number} start - 起始位置
+   * @param {number} count - 数量
+   * @param {boolean} recursive - 是否包含子目录中的文件
+   * @returns {Promise<{files: Array, directories: string[]}>}
+   */
+  async _listPage(dir, start, count, recursive) {
+    const params = new URLSearchParams({
+      start: String(start),
+      count: String(count),
+      recursive: String(recursive)
+    })
+    if (dir) params.set('dir', dir)
+
+    const response = await fetch(`${this.baseUrl}/api/manage/list?${params}`, {
+      method: 'GET',
+      headers: this.defaultHeaders
+    })
+    const data = await this._parseResponse(response)
+
+    // 新版接口返回 { files, directories }，旧版直接返回数组
+    return Array.isArray(data)
+      ? { files: data, directories: [] }
+      : { files: data?.files || [], directories: data?.directories || [] }
+  }
+
+  /**
+   * 将接口返回的目录转换为以斜杠结尾的完整前缀
+   * 目录可能是完整路径，也可能只是目录名
+   * @private
+   */
+  _toDirectoryPrefix(dir, name) {
+    const path = String(name).replace(/^\/+|\/+$/g, '')
+    const fullPath = !dir || path.startsWith(`${dir}/`) ? path : `${dir}/${path}`
+    return `${fullPath}/`
+  }
+
+  /**
+   * 解析响应，非成功状态转换为带状态码的错误
+   * @private
+   */
+  async _parseResponse(response) {
+    const text = await response.text()
+    let data = null
+    try {
+      data = text ? JSON.parse(text) : null
+    } catch {
+      data = text
+    }
+
+    if (!response.ok || data?.success === false) {
+      const detail = data?.error || data?.message || (typeof data === 'string' ? data : '')
+      const error = new Error(`ImgBed error: ${response.status} ${detail}`.trim())
+      error.status = response.status
+      throw error
+    }
+
+    return data
+  }
+
+  /**
+   * 将返回的 /file/... 路径转换为文件标识符
+   * @private
+   */
+  _srcToKey(src) {
+    const pathname = src.startsWith('http') ? new URL(src).pathname : src
+    return decodeURIComponent(pathname.replace(/^\/?file\//, ''))
+  }
+
+  /**
+   * 从元数据中读取文件大小（字节）
+   * @private
+   */
+  _parseFileSize(metadata = {}) {
+    if (metadata.FileSizeBytes) {
+      return Number(metadata.FileSizeBytes)
+    }
+    // FileSize 以 MB 为单位保存
+    return Math.round((parseFloat(metadata.FileSize) || 0) * 1024 * 1024)
+  }
+
+  /**
+   * 管理接口需要 API Token
+   * @private
+   */
+  _assertToken() {
+    if (!this.apiToken) {
+      throw new Error('未配置 API Token，无法使用图床管理接口')
+    }
+  }
+
+  _parseError(error) {
+    if (error.status === 401) {
+      return '认证码或 API Token 无效'
+    }
+    if (error.status === 403) {
+      return 'API Token 权限不足'
+    }
+    if (error.status === 404) {
+      return '接口不存在，请检查图床地址'
+    }
+    if (error.status === 413) {
+      return '文件大小超过图床限制'
+    }
+    if (error.name === 'TypeError' || error.message?.includes('fetch')) {
+      return '网络连接失败，请检查图床地址或 CORS 配置'
+    }
+    if (error.status) {
+      return `请求失败(${error.status})：${error.message || '未知错误'}`
+    }
+    return error.message || '未知错误'
+  }
+}
@@ -1,5 +1,6 @@
 import COS from 'cos-js-sdk-v5'
 import { BaseStorage } from './BaseStorage'
+import { MultipartStore } from '../multipartStore'
 
 /**
  * 腾讯云COS存储适配器
@@ -23,24 +24,71 @@ export class COSStorage extends BaseStorage {
     this.region = config.region
   }
 
-  async upload(file) {
+  async upload(file, { onProgress, signal } = {}) {
     try {
-      const key = this.fileManager.generatePath(file.name)
-      await new Promise((resolve, reject) => {
-        this.client.putObject({
-          Bucket: this.bucket,
-          Region: this.region,
-          Key: key,
-          Body: file,
-          ContentType: file.type
-        }, (err, data) => err ? reject(err) : resolve(data))
-      })
+      if (signal?.aborted) {
+        throw this._createAbortError()
+      }
+
+      // 分片上传时 SDK 会在服务端查找同一路径下未完成的上传继续，
+      // 因此在 IndexedDB 中记录文件对应的路径，再次上传同一文件时沿用
+      const prepared = await this._prepareKey(file)
+      if (prepared.existing) {
+        onProgress?.(100)
+        return { ...this._resolveUrl(prepared.key), key: prepared.key, existing: true }
+      }
+
+      const multipart = file.size > this.multipart.threshold
+      const recordId = multipart
+        ? await MultipartStore.fingerprint(file, `cos:${this.region}:${this.bucket}`)
+        : null
+      const record = multipart ? await MultipartStore.get(recordId) : null
+      const key = record?.key || prepared.key
+      if (multipart && !record) {
+        await MultipartStore.put({ id: recordId, key })
+      }
+
+      let onAbort
+      try {
+        await new Promise((resolve, reject) => {
+          const params = {
+            Bucket: this.bucket,
+            Region: this.region,
+            Key: key,
+            Body: file,
+            ContentType: file.type,
+            onProgress: ({ percent }) => onProgress?.(Math.round(percent * 100)),
+            // 取消任务后 SDK 不再回调，需要自行结束 Promise
+            onTaskReady: (taskId) => {
+              onAbort = () => {
+                this.client.cancelTask(taskId)
+                reject(this._createAbortError())
+              }
+              signal?.addEventListener('abort', onAbort)
+            }
+          }
+          const callback = (err, data) => err ? reject(err) : resolve(data)
+
+          if (multipart) {
+            this.client.sliceUploadFile({ ...params, ChunkSize: this.multipart.partSize }, callback)
+          } else {
+            this.client.putObject(params, callback)
+          }
+        }).finally(() => signal?.removeEventListener('abort', onAbort))
+      } catch (error) {
+        if (multipart && error.name === 'AbortError') {
+          await this._abortMultipartUploads(key)
+          await MultipartStore.delete(recordId)
+        }
+        throw error
+      }
+
+      if (multipart) {
+        await MultipartStore.delete(recordId)
+      }
 
       return { 
-        url: this._generateUrl(
-          key,
-          `https://${this.bucket}.cos.${this.region}.myqcloud.com`
-        ),
+        ...this._resolveUrl(key),
         key 
       }
     } catch (error) {
@@ -62,25 +110,123 @@ export class COSStorage extends BaseStorage {
     }
   }
 
-  async listObjects(prefix = '') {
+  /**
+   * 批量删除，deleteMultipleObject 每次最多 1000 个
+   */
+  async deleteMany(keys) {
+    return this._deleteInBatches(keys, 1000, async (batch) => {
+      const result = await new Promise((resolve, reject) => {
+        this.client.deleteMultipleObject({
+          Bucket: this.bucket,
+          Region: this.region,
+          Objects: batch.map(Key => ({ Key }))
+        }, (err, data) => err ? reject(err) : resolve(data))
+      })
+      return (result.Deleted || []).map(item => item.Key)
+    })
+  }
+
+  async exists(key) {
+    try {
+      await new Promise((resolve, reject) => {
+        this.client.headObject({
+          Bucket: this.bucket,
+          Region: this.region,
+          Key: key
+        }, (err, data) => err ? reject(err) : resolve(data))
+      })
+      return true
+    } catch (error) {
+      if (error.statusCode === 404) {
+        return false
+      }
+      throw error
+    }
+  }
+
+  supportsMove() {
+    return true
+  }
+
+  async copy(srcKey, dstKey) {
+    try {
+      await new Promise((resolve, reject) => {
+        this.client.putObjectCopy({
+          Bucket: this.bucket,
+          Region: this.region,
+          Key: dstKey,
+          // 源路径需要逐段编码
+          CopySource: `${this.bucket}.cos.${this.region}.myqcloud.com/${srcKey.split('/').map(encodeURIComponent).join('/')}`
+        }, (err, data) => err ? reject(err) : resolve(data))
+      })
+      return {
+        ...this._resolveUrl(dstKey),
+        key: dstKey
+      }
+    } catch (error) {
+      this._handleError(error, '复制')
+    }
+  }
+
+  async getObjectInfo(key) {
+    try {
+      const { headers } = await new Promise((resolve, reject) => {
+        this.client.headObject({
+          Bucket: this.bucket,
+          Region: this.region,
+          Key: key
+        }, (err, data) => err ? reject(err) : resolve(data))
+      })
+      // 自定义元数据以 x-cos-meta- 开头
+      const metadata = Object.fromEntries(
+        Object.entries(headers)
+          .filter(([name]) => name.startsWith('x-cos-meta-'))
+          .map(([name, value]) => [name.slice('x-cos-meta-'.length), value])
+      )
+      return {
+        key,
+        size: Number(headers['content-length']),
+        contentType: headers['content-type'],
+        lastModified: headers['last-modified'] ? new Date(headers['last-modified']) : undefined,
+        etag: headers.etag,
+        metadata
+      }
+    } catch (error) {
+      this._handleError(error, '获取文件信息')
+    }
+  }
+
+  async listObjects(prefix = '', { cursor, limit = 100, delimiter, resolveUrls = true } = {}) {
     try {
       const result = await new Promise((resolve, reject) => {
         this.client.getBucket({
           Bucket: this.bucket,
           Region: this.region,
-          Prefix: prefix
+          Prefix: prefix,
+          Delimiter: delimiter || undefined,
+          Marker: cursor || undefined,
+          MaxKeys: limit
         }, (err, data) => err ? reject(err) : resolve(data))
       })
 
-      return result.Contents.map(item => ({
-        key: item.Key,
-        lastModified: item.LastModified,
-        size: item.Size,
-        url: this._generateUrl(
-          item.Key,
-          `https://${this.bucket}.cos.${this.region}.myqcloud.com`
-        )
-      }))
+      const contents = result.Contents || []
+      const prefixes = (result.CommonPrefixes || []).map(item => item.Prefix)
+      // 未返回 NextMarker 时以本页最后一个文件或目录作为下一页的起点
+      const nextMarker = result.NextMarker || [contents[contents.length - 1]?.Key, prefixes[prefixes.length - 1]]
+        .filter(Boolean)
+        .sort()
+        .pop()
+      return {
+        items: contents.map(item => ({
+          key: item.Key,
+          lastModified: item.LastModified,
+          size: Number(item.Size),
+          ...(resolveUrls ? this._resolveUrl(item.Key) : {})
+        })),
+        prefixes,
+        // IsTruncated 为字符串 'true' / 'false'
+        nextCursor: String(result.IsTruncated) === 'true' && nextMarker ? nextMarker : null
+      }
     } catch (error) {
       this._handleError(error, '获取文件列表')
     }
@@ -101,6 +247,58 @@ export class COSStorage extends BaseStorage {
     }
   }
 
+  /**
+   * 生成文件访问地址，私有模式下为签名链接
+   * @private
+   * @returns {{url: string, expiresAt?: Date}}
+   */
+  _resolveUrl(key) {
+    if (!this.isPrivate) {
+      return {
+        url: this._generateUrl(key, `https://${this.bucket}.cos.${this.region}.myqcloud.com`)
+      }
+    }
+    return {
+      url: this.client.getObjectUrl({
+        Bucket: this.bucket,
+        Region: this.region,
+        Key: key,
+        Sign: true,
+        Expires: this.urlExpires
+      }),
+      expiresAt: this._getExpiresAt()
+    }
+  }
+
+  /**
+   * 中止指定路径下未完成的分片上传
+   * @private
+   * @param {string} key - 文件路径
+   */
+  async _abortMultipartUploads(key) {
+    try {
+      const result = await new Promise((resolve, reject) => {
+        this.client.multipartList({
+          Bucket: this.bucket,
+          Region: this.region,
+          Prefix: key
+        }, (err, data) => err ? reject(err) : resolve(data))
+      })
+
+      const uploads = (result.Upload || []).filter(item => item.Key === key)
+      await Promise.all(uploads.map(item => new Promise((resolve, reject) => {
+        this.client.multipartAbort({
+          Bucket: this.bucket,
+          Region: this.region,
+          Key: key,
+          UploadId: item.UploadId
+        }, (err, data) => err ? reject(err) : resolve(data))
+      })))
+    } catch (error) {
+      console.error('中止分片上传失败:', error)
+    }
+  }
+
   _parseError(error) {
     if (error.code === 'NoSuchBucket') {
       return 'Bucket不存在'
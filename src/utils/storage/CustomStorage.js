@@ -0,0 +1,292 @@
+import { BaseStorage } from './BaseStorage'
+
+/**
+ * 自定义接口存储适配器
+ * 通过配置上传地址、表单字段和响应解析路径对接任意 HTTP 图床接口（类似 PicGo 的 web-uploader）
+ */
+export class CustomStorage extends BaseStorage {
+  /**
+   * @param {Object} config - 自定义接口配置
+   * @param {string} config.uploadUrl - 上传地址
+   * @param {string} [config.method] - 上传请求方法，默认 POST
+   * @param {string} [config.fileField] - 文件字段名，默认 file
+   * @param {string} [config.headers] - 额外请求头（JSON）
+   * @param {string} [config.formData] - 额外表单字段（JSON）
+   * @param {string} [config.urlPath] - 响应中图片地址的路径，如 data.links.url；为空时响应正文即地址
+   * @param {string} [config.deleteKeyPath] - 响应中删除标识的路径，如 data.key
+   * @param {string} [config.deleteUrl] - 删除接口模板，支持 {key} {url}
+   * @param {string} [config.deleteMethod] - 删除请求方法，默认 DELETE
+   * @param {string} [config.listUrl] - 列表接口模板，支持 {page}
+   * @param {string} [config.listItemsPath] - 列表响应中文件数组的路径
+   * @param {string} [config.listItemUrlPath] - 列表项中图片地址的路径，默认 url
+   * @param {string} [config.listItemKeyPath] - 列表项中删除标识的路径，默认 key
+   */
+  constructor(config) {
+    super(config)
+
+    this.uploadUrl = config.uploadUrl
+    this.method = config.method || 'POST'
+    this.fileField = config.fileField || 'file'
+    this.headers = this._parseJSONField(config.headers, '请求头')
+    this.formData = this._parseJSONField(config.formData, '表单字段')
+    this.urlPath = config.urlPath || ''
+    this.deleteKeyPath = config.deleteKeyPath || ''
+    this.deleteUrl = config.deleteUrl || ''
+    this.deleteMethod = config.deleteMethod || 'DELETE'
+    this.listUrl = config.listUrl || ''
+    this.listItemsPath = config.listItemsPath || ''
+    this.listItemUrlPath = config.listItemUrlPath || 'url'
+    this.listItemKeyPath = config.listItemKeyPath || 'key'
+
+    // 列表接口分页上限，防止接口不返回空页时无限请求
+    this.maxListPages = 100
+  }
+
+  /**
+   * 上传文件
+   * 未配置删除标识路径时以图片地址作为文件标识符
+   * @param {File} file - 文件对象
+   * @param {Object} [options] - 上传选项，见 BaseStorage.upload
+   * @returns {Promise<{url: string, key: string}>}
+   */
+  async upload(file, { onProgress, signal } = {}) {
+    try {
+      const path = await this.fileManager.resolvePath(file)
+      const filename = path.split('/').pop()
+
+      const formData = new FormData()
+      Object.entries(this.formData).forEach(([name, value]) => {
+        formData.append(name, typeof value === 'string' ? value : JSON.stringify(value))
+      })
+      formData.append(this.fileField, file, filename)
+
+      const response = await this._uploadRequest(this.uploadUrl, {
+        method: this.method,
+        headers: this.headers,
+        body: formData
+      }, { onProgress, signal })
+      const data = await this._parseResponse(response)
+
+      const url = this.urlPath ? this._getByPath(data, this.urlPath) : data
+      if (typeof url !== 'string' || !url) {
+        throw new Error(`Failed to get url from response by path: ${this.urlPath || '(body)'}`)
+      }
+
+      const deleteKey = this.deleteKeyPath ? this._getByPath(data, this.deleteKeyPath) : null
+      const key = deleteKey != null ? String(deleteKey) : url
+
+      return { url: this._applyCustomDomain(url), key }
+    } catch (error) {
+      this._handleError(error, '上传')
+    }
+  }
+
+  async delete(key) {
+    try {
+      if (!this.deleteUrl) {
+        throw new Error('未配置删除接口')
+      }
+
+      const response = await fetch(this._renderTemplate(this.deleteUrl, {
+        key,
+        url: key
+      }), {
+        method: this.deleteMethod,
+        headers: this.headers
+      })
+      await this._parseResponse(response)
+    } catch (error) {
+      this._handleError(error, '删除')
+    }
+  }
+
+  /**
+   * 列表接口返回的标识符可能是链接或接口自定义的 ID，不能按目录浏览
+   */
+  isHierarchical() {
+    return false
+  }
+
+  /**
+   * 获取文件列表
+   * 接口返回的标识符不一定是路径，因此不按前缀过滤，只在按目录列出时在本页内归类；
+   * 列表接口包含 {page} 时游标为下一页页码，接口返回空页时结束
+   */
+  async listObjects(prefix = '', { cursor, delimiter } = {}) {
+    try {
+      if (!this.listUrl) {
+        throw new Error('未配置列表接口')
+      }
+
+      const paginated = this.listUrl.includes('{page}')
+      const page = Number(cursor) || 1
+
+      const response = await fetch(this._renderTemplate(this.listUrl, { page }), {
+        method: 'GET',
+        headers: this.headers
+      })
+      const data = await this._parseResponse(response)
+      const pageItems = this.listItemsPath ? this._getByPath(data, this.listItemsPath) : data
+      const items = Array.isArray(pageItems) ? pageItems : []
+
+      const hasMore = paginated && items.length > 0 && page < this.maxListPages
+      const files = items
+        .map(item => {
+          const url = this._getByPath(item, this.listItemUrlPath)
+          const key = this._getByPath(item, this.listItemKeyPath)
+          return {
+            key: key != null ? String(key) : url,
+            url: this._applyCustomDomain(url),
+            lastModified: this._parseDate(item),
+            size: Number(item.size) || 0
+          }
+        })
+        .filter(item => item.url)
+
+      return {
+        ...(delimiter ? this._groupByDelimiter(files, prefix, delimiter) : { items: files }),
+        nextCursor: hasMore ? String(page + 1) : null
+      }
+    } catch (error) {
+      this._handleError(error, '获取文件列表')
+    }
+  }
+
+  /**
+   * 测试连接
+   * 配置了列表接口时请求列表，否则仅检查上传地址是否可访问
+   */
+  async testConnection() {
+    try {
+      const url = this.listUrl
+        ? this._renderTemplate(this.listUrl, { page: 1 })
+        : this.uploadUrl
+      const response = await fetch(url, {
+        method: this.listUrl ? 'GET' : 'OPTIONS',
+        headers: this.headers
+      })
+      if (response.status === 401 || response.status === 403 || response.status >= 500) {
+        await this._parseResponse(response)
+      }
+      return this._formatTestResult(true)
+    } catch (error) {
+      return this._formatTestResult(false, this._parseError(error))
+    }
+  }
+
+  /**
+   * 按点号路径读取对象属性，支持 $.data.url、data[0].src、data.0.src
+   * @private
+   * @param {*} data - 数据
+   * @param {string} path - 路径表达式
+   */
+  _getByPath(data, path) {
+    if (!path) return data
+    return path
+      .replace(/^\$\.?/, '')
+      .replace(/\[(\w+)\]/g, '.$1')
+      .split('.')
+      .filter(Boolean)
+      .reduce((value, segment) => (value == null ? undefined : value[segment]), data)
+  }
+
+  /**
+   * 替换模板中的 {name} 占位符
+   * @private
+   */
+  _renderTemplate(template, variables) {
+    return template.replace(/\{(\w+)\}/g, (match, name) =>
+      name in variables ? encodeURIComponent(variables[name]) : match
+    )
+  }
+
+  /**
+   * 解析 JSON 格式的配置项
+   * @private
+   * @param {string} value - 配置值
+   * @param {string} label - 配置名称，用于错误提示
+   */
+  _parseJSONField(value, label) {
+    if (!value?.trim()) return {}
+    try {
+      const parsed = JSON.parse(value)
+      if (parsed && typeof parsed === 'object' && !Array.isArray(parsed)) {
+        return parsed
+      }
+    } catch {
+      // 统一在下方抛出
+    }
+    throw new Error(`${label}不是有效的 JSON 对象`)
+  }
+
+  /**
+   * 解析响应，JSON 正文解析为对象，其余保留原文
+   * @private
+   */
+  async _parseResponse(response) {
+    const text = await response.text()
+    let data
+    try {
+      data = text ? JSON.parse(text) : null
+    } catch {
+      data = text.trim()
+    }
+
+    if (!response.ok) {
+      const detail = data?.message || data?.error || (typeof data === 'string' ? data : '')
+      const error = new Error(`HTTP error: ${response.status} ${detail}`.trim())
+      error.status = response.status
+      throw error
+    }
+
+    return data
+  }
+
+  /**
+   * 设置了自定义域名时替换接口返回地址的域名
+   * @private
+   */
+  _applyCustomDomain(url) {
+    if (!this.customDomain || typeof url !== 'string') return url
+    try {
+      const { pathname, search } = new URL(url)
+      return `https://${this.customDomain}${pathname}${search}`
+    } catch {
+      return url
+    }
+  }
+
+  /**
+   * 尝试从常见字段中读取列表项时间
+   * @private
+   */
+  _parseDate(item) {
+    const value = item.lastModified ?? item.date ?? item.created_at ?? item.time
+    if (value == null) return null
+    // 10 位数字视为秒级时间戳
+    const date = typeof value === 'number' && value < 1e11 ? new Date(value * 1000) : new Date(value)
+    return isNaN(date) ? null : date
+  }
+
+  _parseError(error) {
+    if (error.status === 401) {
+      return '认证失败，请检查请求头中的 Token'
+    }
+    if (error.status === 403) {
+      return '访问被拒绝，请检查权限配置'
+    }
+    if (error.status === 404) {
+      return '接口不存在，请检查接口地址'
+    }
+    if (error.status === 413) {
+      return '文件大小超过接口限制'
+    }
+    if (error.name === 'TypeError' || error.message?.includes('fetch')) {
+      return '网络连接失败，请检查接口地址或 CORS 配置'
+    }
+    if (error.status) {
+      return `请求失败(${error.status})：${error.message || '未知错误'}`
+    }
+    return error.message || '未知错误'
+  }
+}
@@ -1,5 +1,6 @@
 import OSS from 'ali-oss'
 import { BaseStorage } from './BaseStorage'
+import { MultipartStore } from '../multipartStore'
 
 /**
  * 阿里云OSS存储适配器
@@ -15,29 +16,90 @@ export class OSSStorage extends BaseStorage {
   constructor(config) {
     super(config)
     
-    this.client = new OSS({
+    this.clientOptions = {
       endpoint: config.endpoint,
       accessKeyId: config.accessKey,
       accessKeySecret: config.secretKey,
       bucket: config.bucket,
       secure: true
-    })
+    }
+    this.client = new OSS(this.clientOptions)
     
     this.endpoint = config.endpoint
   }
 
-  async upload(file) {
+  async upload(file, { onProgress, signal } = {}) {
     try {
-      const key = this.fileManager.generatePath(file.name)
-      await this.client.put(key, file, {
-        headers: { 'Content-Type': file.type }
-      })
+      if (signal?.aborted) {
+        throw this._createAbortError()
+      }
+
+      const prepared = await this._prepareKey(file)
+      if (prepared.existing) {
+        onProgress?.(100)
+        return { ...this._resolveUrl(prepared.key), key: prepared.key, existing: true }
+      }
+
+      // 阈值以下通过签名地址直接 PUT，无需在 CORS 中暴露 ETag
+      if (file.size <= this.multipart.threshold) {
+        await this._putObject(prepared.key, file, { onProgress, signal })
+        return {
+          ...this._resolveUrl(prepared.key),
+          key: prepared.key
+        }
+      }
+
+      // 分片上传的断点保存在 IndexedDB 中，再次上传同一文件时沿用原路径和 checkpoint 继续
+      const recordId = await MultipartStore.fingerprint(file, `oss:${this.endpoint}:${this.bucket}`)
+      const record = await MultipartStore.get(recordId)
+      const key = record?.key || prepared.key
+      let checkpoint = record?.checkpoint
+
+      const options = {
+        headers: { 'Content-Type': file.type },
+        partSize: this.multipart.partSize,
+        progress: async (percent, cpt) => {
+          onProgress?.(Math.round(percent * 100))
+          if (cpt && !signal?.aborted) {
+            // file 字段无需保存，续传时重新传入
+            checkpoint = { ...cpt, file: undefined }
+            await MultipartStore.put({ id: recordId, key, checkpoint })
+          }
+        }
+      }
+      if (checkpoint) {
+        options.checkpoint = { ...checkpoint, file }
+      }
+
+      // cancel() 会取消整个客户端上的上传，因此每次上传使用独立的客户端
+      const client = new OSS(this.clientOptions)
+      let onAbort
+      try {
+        await new Promise((resolve, reject) => {
+          onAbort = () => {
+            client.cancel()
+            reject(this._createAbortError())
+          }
+          signal?.addEventListener('abort', onAbort)
+
+          client.multipartUpload(key, file, options).then(resolve, reject)
+        }).finally(() => signal?.removeEventListener('abort', onAbort))
+      } catch (error) {
+        if (error.name === 'AbortError' || error.code === 'NoSuchUpload') {
+          // 取消时中止服务端的分片上传；分片上传失效时丢弃记录，下次重新开始
+          if (error.name === 'AbortError' && checkpoint?.uploadId) {
+            await this.client.abortMultipartUpload(key, checkpoint.uploadId)
+              .catch(abortError => console.error('中止分片上传失败:', abortError))
+          }
+          await MultipartStore.delete(recordId)
+        }
+        throw error
+      }
+
+      await MultipartStore.delete(recordId)
 
       return { 
-        url: this._generateUrl(
-          key,
-          `https://${this.bucket}.${this.endpoint}`
-        ),
+        ...this._resolveUrl(key),
         key 
       }
     } catch (error) {
@@ -53,22 +115,84 @@ export class OSSStorage extends BaseStorage {
     }
   }
 
-  async listObjects(prefix = '') {
+  /**
+   * 批量删除，deleteMulti 每次最多 1000 个
+   */
+  async deleteMany(keys) {
+    return this._deleteInBatches(keys, 1000, async (batch) => {
+      const result = await this.client.deleteMulti(batch, { quiet: false })
+      return result.deleted.map(item => item.Key)
+    })
+  }
+
+  async exists(key) {
+    try {
+      await this.client.head(key)
+      return true
+    } catch (error) {
+      if (error.status === 404 || error.code === 'NoSuchKey') {
+        return false
+      }
+      throw error
+    }
+  }
+
+  supportsMove() {
+    return true
+  }
+
+  async copy(srcKey, dstKey) {
+    try {
+      await this.client.copy(dstKey, srcKey)
+      return {
+        ...this._resolveUrl(dstKey),
+        key: dstKey
+      }
+    } catch (error) {
+      this._handleError(error, '复制')
+    }
+  }
+
+  /**
+   * 获取文件详情
+   * 使用 head 而不是 getObjectMeta，后者不返回 Content-Type 和自定义元数据
+   */
+  async getObjectInfo(key) {
+    try {
+      const { meta, res } = await this.client.head(key)
+      const headers = res.headers
+      return {
+        key,
+        size: Number(headers['content-length']),
+        contentType: headers['content-type'],
+        lastModified: headers['last-modified'] ? new Date(headers['last-modified']) : undefined,
+        etag: headers.etag,
+        metadata: meta || {}
+      }
+    } catch (error) {
+      this._handleError(error, '获取文件信息')
+    }
+  }
+
+  async listObjects(prefix = '', { cursor, limit = 100, delimiter, resolveUrls = true } = {}) {
     try {
       const result = await this.client.list({
         prefix,
-        'max-keys': 1000
+        delimiter: delimiter || undefined,
+        marker: cursor || undefined,
+        'max-keys': limit
       })
 
-      return result.objects.map(item => ({
-        key: item.name,
-        lastModified: item.lastModified,
-        size: item.size,
-        url: this._generateUrl(
-          item.name,
-          `https://${this.bucket}.${this.endpoint}`
-        )
-      }))
+      return {
+        items: (result.objects || []).map(item => ({
+          key: item.name,
+          lastModified: item.lastModified,
+          size: item.size,
+          ...(resolveUrls ? this._resolveUrl(item.name) : {})
+        })),
+        prefixes: result.prefixes || [],
+        nextCursor: result.isTruncated ? result.nextMarker : null
+      }
     } catch (error) {
       this._handleError(error, '获取文件列表')
     }
@@ -83,6 +207,48 @@ export class OSSStorage extends BaseStorage {
     }
   }
 
+  /**
+   * 生成文件访问地址，私有模式下为签名链接
+   * @private
+   * @returns {{url: string, expiresAt?: Date}}
+   */
+  _resolveUrl(key) {
+    if (!this.isPrivate) {
+      return {
+        url: this._generateUrl(key, `https://${this.bucket}.${this.endpoint}`)
+      }
+    }
+    return {
+      url: this.client.signatureUrl(key, { expires: this.urlExpires }),
+      expiresAt: this._getExpiresAt()
+    }
+  }
+
+  /**
+   * 通过签名地址 PUT 上传，使用 XHR 以获取上传进度
+   * @private
+   * @param {string} key - 文件路径
+   * @param {File} file - 文件
+   * @param {Object} uploadOptions - 进度回调和取消信号，见 _uploadRequest
+   */
+  async _putObject(key, file, uploadOptions) {
+    const contentType = file.type || 'application/octet-stream'
+    const url = this.client.signatureUrl(key, { method: 'PUT', 'Content-Type': contentType })
+    const response = await this._uploadRequest(url, {
+      method: 'PUT',
+      headers: { 'Content-Type': contentType },
+      body: file
+    }, uploadOptions)
+    if (!response.ok) {
+      // 错误信息为 XML，取出其中的错误码
+      const code = (await response.text()).match(/<Code>([^<]+)<\/Code>/)?.[1]
+      const error = new Error(`OSS error: ${response.status} ${code || ''}`.trim())
+      error.status = response.status
+      error.code = code
+      throw error
+    }
+  }
+
   _parseError(error) {
     if (error.name === 'ConnectionError' || error.status === -1) {
       return '网络连接失败，请检查：\n1. Endpoint 是否正确\n2. 网络是否正常'
@@ -93,6 +259,9 @@ export class OSSStorage extends BaseStorage {
     if (error.code === 'AccessDenied') {
       return '访问被拒绝，请检查权限配置'
     }
+    if (error.code === 'NoSuchUpload') {
+      return '分片上传已失效，请重新上传'
+    }
     if (error.code === 'InvalidAccessKeyId') {
       return 'AccessKey无效'
     }
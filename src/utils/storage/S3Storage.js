@@ -1,5 +1,27 @@
-import { S3Client, PutObjectCommand, DeleteObjectCommand, ListObjectsV2Command } from '@aws-sdk/client-s3'
+import {
+  S3Client,
+  DeleteObjectCommand,
+  DeleteObjectsCommand,
+  ListObjectsV2Command,
+  CreateMultipartUploadCommand,
+  UploadPartCommand,
+  CompleteMultipartUploadCommand,
+  AbortMultipartUploadCommand,
+  ListPartsCommand,
+  GetObjectCommand,
+  HeadObjectCommand,
+  CopyObjectCommand
+} from '@aws-sdk/client-s3'
+import { Upload } from '@aws-sdk/lib-storage'
+import { getSignedUrl } from '@aws-sdk/s3-request-presigner'
 import { BaseStorage } from './BaseStorage'
+import { MultipartStore } from '../multipartStore'
+
+// S3 要求除最后一个分片外每个分片不小于 5MB
+const MIN_PART_SIZE = 5 * 1024 * 1024
+
+// 签名链接最长有效期为 7 天
+const MAX_URL_EXPIRES = 7 * 24 * 3600
 
 /**
  * AWS S3存储适配器
@@ -36,26 +58,51 @@ export class S3Storage extends BaseStorage {
     this.endpoint = config.endpoint
   }
 
-  async upload(file) {
+  async upload(file, { onProgress, signal } = {}) {
     try {
-      const key = this.fileManager.generatePath(file.name)
-      const command = new PutObjectCommand({
-        Bucket: this.bucket,
-        Key: key,
-        Body: await file.arrayBuffer(),
-        ContentType: file.type,
-        ACL: 'public-read'
+      if (signal?.aborted) {
+        throw this._createAbortError()
+      }
+
+      const { key, existing } = await this._prepareKey(file)
+      if (existing) {
+        onProgress?.(100)
+        return { ...await this._resolveUrl(key), key, existing }
+      }
+
+      if (file.size > this.multipart.threshold) {
+        return await this._multipartUpload(file, key, { onProgress, signal })
+      }
+
+      // 分片大小不小于阈值，阈值以下的文件一次请求上传
+      const upload = new Upload({
+        client: this.client,
+        partSize: Math.max(this.multipart.threshold, MIN_PART_SIZE),
+        params: {
+          Bucket: this.bucket,
+          Key: key,
+          Body: file,
+          ContentType: file.type,
+          ...this._getAclParams()
+        }
       })
 
-      await this.client.send(command)
+      upload.on('httpUploadProgress', ({ loaded, total }) => {
+        if (total) {
+          onProgress?.(Math.round((loaded / total) * 100))
+        }
+      })
+
+      const onAbort = () => upload.abort()
+      signal?.addEventListener('abort', onAbort)
+      try {
+        await upload.done()
+      } finally {
+        signal?.removeEventListener('abort', onAbort)
+      }
       
       return { 
-        url: this._generateUrl(
-          key,
-          this.endpoint
-            ? `https://${this.bucket}.${this.endpoint.replace(/^https?:\/\//, '')}`
-            : `https://${this.bucket}.s3.amazonaws.com`
-        ),
+        ...await this._resolveUrl(key),
         key 
       }
     } catch (error) {
@@ -75,27 +122,102 @@ export class S3Storage extends BaseStorage {
     }
   }
 
-  async listObjects(prefix = '') {
+  /**
+   * 批量删除，DeleteObjects 每次最多 1000 个
+   */
+  async deleteMany(keys) {
+    return this._deleteInBatches(keys, 1000, async (batch) => {
+      const response = await this.client.send(new DeleteObjectsCommand({
+        Bucket: this.bucket,
+        Delete: {
+          Objects: batch.map(Key => ({ Key })),
+          Quiet: false
+        }
+      }))
+      return (response.Deleted || []).map(item => item.Key)
+    })
+  }
+
+  async exists(key) {
+    try {
+      await this.client.send(new HeadObjectCommand({
+        Bucket: this.bucket,
+        Key: key
+      }))
+      return true
+    } catch (error) {
+      if (error.name === 'NotFound' || error.$metadata?.httpStatusCode === 404) {
+        return false
+      }
+      throw error
+    }
+  }
+
+  supportsMove() {
+    return true
+  }
+
+  async copy(srcKey, dstKey) {
+    try {
+      await this.client.send(new CopyObjectCommand({
+        Bucket: this.bucket,
+        // 源路径需要逐段编码
+        CopySource: `${this.bucket}/${srcKey.split('/').map(encodeURIComponent).join('/')}`,
+        Key: dstKey,
+        // 复制不会保留 ACL，需重新设置
+        ...this._getAclParams()
+      }))
+      return {
+        ...await this._resolveUrl(dstKey),
+        key: dstKey
+      }
+    } catch (error) {
+      this._handleError(error, '复制')
+    }
+  }
+
+  async getObjectInfo(key) {
+    try {
+      const response = await this.client.send(new HeadObjectCommand({
+        Bucket: this.bucket,
+        Key: key
+      }))
+      return {
+        key,
+        size: response.ContentLength,
+        contentType: response.ContentType,
+        lastModified: response.LastModified,
+        etag: response.ETag,
+        metadata: response.Metadata || {}
+      }
+    } catch (error) {
+      this._handleError(error, '获取文件信息')
+    }
+  }
+
+  async listObjects(prefix = '', { cursor, limit = 100, delimiter, resolveUrls = true } = {}) {
     try {
       const command = new ListObjectsV2Command({
         Bucket: this.bucket,
-        Prefix: prefix
+        Prefix: prefix,
+        Delimiter: delimiter || undefined,
+        MaxKeys: limit,
+        ContinuationToken: cursor || undefined
       })
       
       const response = await this.client.send(command)
       const contents = response.Contents || []
       
-      return contents.map(item => ({
-        key: item.Key,
-        lastModified: item.LastModified,
-        size: item.Size,
-        url: this._generateUrl(
-          item.Key,
-          this.endpoint
-            ? `https://${this.bucket}.${this.endpoint.replace(/^https?:\/\//, '')}`
-            : `https://${this.bucket}.s3.amazonaws.com`
-        )
-      }))
+      return {
+        items: await Promise.all(contents.map(async item => ({
+          key: item.Key,
+          lastModified: item.LastModified,
+          size: item.Size,
+          ...(resolveUrls ? await this._resolveUrl(item.Key) : {})
+        }))),
+        prefixes: (response.CommonPrefixes || []).map(item => item.Prefix),
+        nextCursor: response.IsTruncated ? response.NextContinuationToken : null
+      }
     } catch (error) {
       this._handleError(error, '获取文件列表')
     }
@@ -115,6 +237,169 @@ export class S3Storage extends BaseStorage {
     }
   }
 
+  /**
+   * 分片上传，上传进度保存在 IndexedDB 中，中断后再次上传同一文件时从已完成的分片继续
+   * 取消时中止服务端的分片上传，避免残留未完成的分片
+   * @private
+   * @param {File} file - 文件
+   * @param {string} newKey - 没有可继续的上传时使用的路径
+   */
+  async _multipartUpload(file, newKey, { onProgress, signal }) {
+    const recordId = await MultipartStore.fingerprint(file, `s3:${this.endpoint || this.region}:${this.bucket}`)
+    let record = await MultipartStore.get(recordId)
+
+    if (record && !(await this._verifyUpload(record))) {
+      await MultipartStore.delete(recordId)
+      record = null
+    }
+
+    if (!record) {
+      const key = newKey
+      const { UploadId } = await this.client.send(new CreateMultipartUploadCommand({
+        Bucket: this.bucket,
+        Key: key,
+        ContentType: file.type,
+        ...this._getAclParams()
+      }))
+      record = {
+        id: recordId,
+        key,
+        uploadId: UploadId,
+        partSize: Math.max(this.multipart.partSize, MIN_PART_SIZE),
+        parts: []
+      }
+      await MultipartStore.put(record)
+    }
+
+    const { key, uploadId, partSize } = record
+    const totalParts = Math.ceil(file.size / partSize)
+    const parts = new Map(record.parts.map(part => [part.PartNumber, part.ETag]))
+    const reportProgress = (loaded = 0) => {
+      const uploaded = Array.from(parts.keys())
+        .reduce((sum, partNumber) => sum + Math.min(partSize, file.size - (partNumber - 1) * partSize), 0)
+      onProgress?.(Math.round(((uploaded + loaded) / file.size) * 100))
+    }
+    reportProgress()
+
+    try {
+      for (let partNumber = 1; partNumber <= totalParts; partNumber++) {
+        if (parts.has(partNumber)) continue
+        if (signal?.aborted) {
+          throw this._createAbortError()
+        }
+
+        const start = (partNumber - 1) * partSize
+        const body = new Uint8Array(await file.slice(start, start + partSize).arrayBuffer())
+        const { ETag } = await this.client.send(new UploadPartCommand({
+          Bucket: this.bucket,
+          Key: key,
+          UploadId: uploadId,
+          PartNumber: partNumber,
+          Body: body
+        }), { abortSignal: signal })
+
+        parts.set(partNumber, ETag)
+        record.parts = Array.from(parts, ([PartNumber, ETag]) => ({ PartNumber, ETag }))
+        await MultipartStore.put(record)
+        reportProgress()
+      }
+
+      await this.client.send(new CompleteMultipartUploadCommand({
+        Bucket: this.bucket,
+        Key: key,
+        UploadId: uploadId,
+        MultipartUpload: {
+          Parts: Array.from(parts, ([PartNumber, ETag]) => ({ PartNumber, ETag }))
+            .sort((a, b) => a.PartNumber - b.PartNumber)
+        }
+      }))
+      await MultipartStore.delete(recordId)
+    } catch (error) {
+      if (signal?.aborted || error.name === 'AbortError') {
+        await this.client.send(new AbortMultipartUploadCommand({
+          Bucket: this.bucket,
+          Key: key,
+          UploadId: uploadId
+        })).catch(abortError => console.error('中止分片上传失败:', abortError))
+        await MultipartStore.delete(recordId)
+        throw this._createAbortError()
+      }
+      throw error
+    }
+
+    return {
+      ...await this._resolveUrl(key),
+      key
+    }
+  }
+
+  /**
+   * 检查保存的分片上传是否仍然有效，并以服务端已有的分片为准
+   * @private
+   * @returns {Promise<boolean>}
+   */
+  async _verifyUpload(record) {
+    try {
+      const parts = []
+      let PartNumberMarker
+      do {
+        const response = await this.client.send(new ListPartsCommand({
+          Bucket: this.bucket,
+          Key: record.key,
+          UploadId: record.uploadId,
+          PartNumberMarker
+        }))
+        parts.push(...(response.Parts || []).map(({ PartNumber, ETag }) => ({ PartNumber, ETag })))
+        PartNumberMarker = response.IsTruncated ? response.NextPartNumberMarker : undefined
+      } while (PartNumberMarker)
+
+      record.parts = parts
+      return true
+    } catch (error) {
+      if (error.name === 'NoSuchUpload') {
+        return false
+      }
+      // 没有 ListParts 权限等情况下沿用本地记录
+      return true
+    }
+  }
+
+  /**
+   * 生成文件访问地址，私有模式下为签名链接
+   * @private
+   * @returns {Promise<{url: string, expiresAt?: Date}>}
+   */
+  async _resolveUrl(key) {
+    if (!this.isPrivate) {
+      return { url: this._generateUrl(key, this._getDefaultDomain()) }
+    }
+
+    const expiresIn = Math.min(this.urlExpires, MAX_URL_EXPIRES)
+    const url = await getSignedUrl(this.client, new GetObjectCommand({
+      Bucket: this.bucket,
+      Key: key
+    }), { expiresIn })
+    return { url, expiresAt: new Date(Date.now() + expiresIn * 1000) }
+  }
+
+  /**
+   * 上传时的 ACL 参数，私有模式下不设置（R2 等服务拒绝 ACL）
+   * @private
+   */
+  _getAclParams() {
+    return this.isPrivate ? {} : { ACL: 'public-read' }
+  }
+
+  /**
+   * 未设置自定义域名时使用的默认访问域名
+   * @private
+   */
+  _getDefaultDomain() {
+    return this.endpoint
+      ? `https://${this.bucket}.${this.endpoint.replace(/^https?:\/\//, '')}`
+      : `https://${this.bucket}.s3.amazonaws.com`
+  }
+
   _parseError(error) {
     if (error.name === 'NoSuchBucket') {
       return 'Bucket不存在'
@@ -128,6 +413,9 @@ export class S3Storage extends BaseStorage {
     if (error.name === 'SignatureDoesNotMatch') {
       return 'SecretKey无效'
     }
+    if (error.name === 'NoSuchUpload') {
+      return '分片上传已失效，请重新上传'
+    }
     if (error.name === 'NetworkingError') {
       return '网络连接失败，请检查Endpoint配置'
     }
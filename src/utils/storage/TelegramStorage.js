@@ -1,5 +1,19 @@
 import { BaseStorage } from './BaseStorage'
 
+/**
+ * 统一删除记录的格式
+ * 旧版本只记录标识符，没有删除时间，以 fallbackDate 作为删除时间
+ * @param {Array<string|{key: string, deletedAt: string}>} list - 删除记录
+ * @param {string} fallbackDate - ISO 格式的时间
+ * @returns {Array<{key: string, deletedAt: string}>}
+ */
+const normalizeDeletions = (list, fallbackDate) => (Array.isArray(list) ? list : [])
+  .map(item => typeof item === 'string' ? { key: item, deletedAt: fallbackDate } : item)
+  .filter(item => item?.key)
+
+// 记录的最后变动时间：上传时间或移动时间
+const entryTime = (entry) => Math.max(Date.parse(entry.lastModified) || 0, Date.parse(entry.movedAt) || 0)
+
 /**
  * Telegram Bot 存储适配器
  * 利用 Telegram Bot API 作为文件存储后端
@@ -10,6 +24,7 @@ export class TelegramStorage extends BaseStorage {
    * @param {string} config.botToken - Telegram Bot Token
    * @param {string} config.chatId - Telegram Chat ID (频道或群组ID)
    * @param {string} [config.proxyUrl] - 可选的代理域名
+   * @param {string} [config.fileProxyUrl] - 可选的文件代理地址，生成的链接只包含 file_id
    */
   constructor(config) {
     super(config)
@@ -22,6 +37,11 @@ export class TelegramStorage extends BaseStorage {
     const apiDomain = this.proxyUrl ? `https://${this.proxyUrl}` : 'https://api.telegram.org'
     this.baseURL = `${apiDomain}/bot${this.botToken}`
     this.fileDomain = this.proxyUrl ? `https://${this.proxyUrl}` : 'https://api.telegram.org'
+
+    // 文件代理在请求时通过 getFile 解析 file_id，链接不暴露 Bot Token 也不会过期
+    this.fileProxyUrl = config.fileProxyUrl
+      ? (config.fileProxyUrl.startsWith('http') ? config.fileProxyUrl : `https://${config.fileProxyUrl}`).replace(/\/+$/, '')
+      : ''
     
     this.defaultHeaders = {
       'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
@@ -29,6 +49,14 @@ export class TelegramStorage extends BaseStorage {
     
     // 本地存储键名
     this.storageKey = 'telegram_upload_index'
+    this.deletedStorageKey = 'telegram_upload_index_deleted'
+    this.manifestStorageKey = 'telegram_upload_index_manifest'
+
+    // 置顶在频道中的索引清单文件名
+    this.manifestFileName = 'pix-ruom-index.json'
+
+    // getFile 只能下载 20MB 以内的文件，超过时按此大小分片上传
+    this.chunkSize = 19 * 1024 * 1024
   }
   
   /**
@@ -56,14 +84,131 @@ export class TelegramStorage extends BaseStorage {
     }
   }
 
+  /**
+   * 获取本地的删除记录，同步时用于避免远端清单恢复已删除的记录
+   * 删除时间早于记录变动时间的不生效，同一路径重新上传的文件不会被移除
+   * @private
+   * @returns {Array<{key: string, deletedAt: string}>}
+   */
+  _getDeletions() {
+    try {
+      const data = localStorage.getItem(this.deletedStorageKey)
+      return normalizeDeletions(data ? JSON.parse(data) : [], new Date().toISOString())
+    } catch {
+      return []
+    }
+  }
+
+  /**
+   * 保存本地的删除记录
+   * @private
+   */
+  _saveDeletions(deletions) {
+    try {
+      localStorage.setItem(this.deletedStorageKey, JSON.stringify(deletions))
+    } catch (error) {
+      console.error('Failed to save deleted keys:', error)
+    }
+  }
+
+  /**
+   * 记录文件已删除
+   * @private
+   */
+  _markDeleted(key) {
+    this._saveDeletions([
+      ...this._getDeletions().filter(item => item.key !== key),
+      { key, deletedAt: new Date().toISOString() }
+    ])
+  }
+
+  /**
+   * 移除删除记录，用于同一路径重新上传或移入文件
+   * @private
+   */
+  _unmarkDeleted(key) {
+    this._saveDeletions(this._getDeletions().filter(item => item.key !== key))
+  }
+
+  /**
+   * 获取本地记录的索引清单消息 ID
+   * @private
+   * @returns {number|null} 记录不属于当前频道时返回 null
+   */
+  _getManifestMessageId() {
+    try {
+      const data = JSON.parse(localStorage.getItem(this.manifestStorageKey))
+      return data?.chatId === String(this.chatId) ? data.messageId : null
+    } catch {
+      return null
+    }
+  }
+
+  /**
+   * 记录索引清单消息 ID
+   * @private
+   */
+  _saveManifestMessageId(messageId) {
+    try {
+      localStorage.setItem(this.manifestStorageKey, JSON.stringify({ chatId: String(this.chatId), messageId }))
+    } catch (error) {
+      console.error('Failed to save manifest message id:', error)
+    }
+  }
+
+  /**
+   * 获取索引记录的访问地址
+   * 从清单同步的记录不含地址，通过 getFile 获取后写回记录
+   * @private
+   * @param {Object} entry - 索引记录
+   * @returns {Promise<string>}
+   */
+  async _getEntryUrl(entry) {
+    if (this.fileProxyUrl && entry.fileId) {
+      return this._buildFileUrl(entry.fileId)
+    }
+    if (entry.url || !entry.fileId || entry.chunks) {
+      return entry.url || ''
+    }
+
+    const filePath = await this._getFilePath(entry.fileId)
+    if (!filePath) {
+      return ''
+    }
+    entry.filePath = filePath
+    entry.url = this._buildFileUrl(entry.fileId, filePath)
+    return entry.url
+  }
+
   /**
    * 上传文件到 Telegram
+   * 超过分片大小的文件拆分为多个文档上传，没有直接访问地址，需通过 getFileContent 下载
    * @param {File} file - 文件对象
+   * @param {Object} [options] - 上传选项
+   * @param {Function} [options.onProgress] - 进度回调，参数为 0-100 的百分比
+   * @param {AbortSignal} [options.signal] - 取消信号
    * @returns {Promise<{url: string, key: string}>}
    */
-  async upload(file) {
+  async upload(file, { onProgress, signal } = {}) {
     try {
-      const key = this.fileManager.generatePath(file.name)
+      const { key, existing } = await this._prepareKey(file)
+      if (existing) {
+        const index = this._getLocalIndex()
+        const entry = index.find(item => item.key === key)
+        const url = await this._getEntryUrl(entry)
+        this._saveLocalIndex(index)
+        onProgress?.(100)
+        return {
+          url,
+          key,
+          existing,
+          ...(entry.chunks ? { chunked: true } : {})
+        }
+      }
+
+      if (file.size > this.chunkSize) {
+        return await this._uploadChunked(file, key, { onProgress, signal })
+      }
       
       // 根据文件类型选择发送接口
       const sendFunction = this._getSendFunction(file.type, file.name)
@@ -72,16 +217,19 @@ export class TelegramStorage extends BaseStorage {
       const formData = new FormData()
       formData.append('chat_id', this.chatId)
       formData.append(sendFunction.type, file, file.name)
+      // 说明中携带文件标识符，便于从频道消息重建索引
+      formData.append('caption', key)
 
-      const response = await fetch(`${this.baseURL}/${sendFunction.url}`, {
-        method: 'POST',
+      const response = await this._uploadRequest(`${this.baseURL}/${sendFunction.url}`, {
         headers: this.defaultHeaders,
         body: formData
-      })
+      }, { onProgress, signal })
 
       if (!response.ok) {
         const errorText = await response.text()
-        throw new Error(`Telegram API error: ${response.status} ${errorText}`)
+        const error = new Error(`Telegram API error: ${response.status} ${errorText}`)
+        error.status = response.status
+        throw error
       }
 
       const responseData = await response.json()
@@ -96,14 +244,14 @@ export class TelegramStorage extends BaseStorage {
         throw new Error('Failed to get file info from Telegram response')
       }
 
-      // 获取文件路径
-      const filePath = await this._getFilePath(fileInfo.file_id)
-      if (!filePath) {
+      // 获取文件路径，使用文件代理时无需获取
+      const filePath = this.fileProxyUrl ? null : await this._getFilePath(fileInfo.file_id)
+      if (!this.fileProxyUrl && !filePath) {
         throw new Error('Failed to get file path from Telegram')
       }
 
       // 生成访问 URL
-      const url = `${this.fileDomain}/file/bot${this.botToken}/${filePath}`
+      const url = this._buildFileUrl(fileInfo.file_id, filePath)
       
       // 保存到本地索引
       const index = this._getLocalIndex()
@@ -112,10 +260,14 @@ export class TelegramStorage extends BaseStorage {
         url,
         fileId: fileInfo.file_id,
         filePath,
+        chatId: this.chatId,
+        messageId: responseData.result.message_id,
         lastModified: new Date().toISOString(),
         size: fileInfo.file_size || 0
       })
       this._saveLocalIndex(index)
+      this._unmarkDeleted(key)
+      onProgress?.(100)
 
       return { url, key, fileId: fileInfo.file_id, filePath }
     } catch (error) {
@@ -123,42 +275,453 @@ export class TelegramStorage extends BaseStorage {
     }
   }
 
+  /**
+   * 分片上传大文件
+   * 每个分片作为独立文档发送，索引中记录各分片的 file_id 和 message_id
+   * @private
+   * @param {File} file - 文件对象
+   * @param {string} key - 文件标识符
+   * @param {Object} [options] - 上传选项
+   * @param {Function} [options.onProgress] - 进度回调，按已完成的分片和当前分片进度计算
+   * @param {AbortSignal} [options.signal] - 取消信号
+   */
+  async _uploadChunked(file, key, { onProgress, signal } = {}) {
+    const total = Math.ceil(file.size / this.chunkSize)
+    const chunks = []
+
+    try {
+      for (let i = 0; i < total; i++) {
+        const blob = file.slice(i * this.chunkSize, (i + 1) * this.chunkSize)
+        const formData = new FormData()
+        formData.append('chat_id', this.chatId)
+        formData.append('document', blob, `${file.name}.part${i + 1}`)
+        formData.append('caption', `${key} (${i + 1}/${total})`)
+        formData.append('disable_notification', 'true')
+
+        const message = await this._callApi('sendDocument', formData, {
+          onProgress: (percent) => onProgress?.(Math.round(((i + percent / 100) / total) * 100)),
+          signal
+        })
+        chunks.push({
+          fileId: message.document.file_id,
+          messageId: message.message_id,
+          size: blob.size
+        })
+      }
+    } catch (error) {
+      // 失败或取消时删除已发送的分片，避免频道中留下没有索引的消息
+      for (const chunk of chunks) {
+        try {
+          await this._callApi('deleteMessage', { chat_id: this.chatId, message_id: chunk.messageId })
+        } catch (deleteError) {
+          console.warn(`Failed to delete chunk message ${chunk.messageId}:`, deleteError.message)
+        }
+      }
+      throw error
+    }
+
+    const index = this._getLocalIndex()
+    index.push({
+      key,
+      url: '',
+      chatId: this.chatId,
+      messageId: chunks[0].messageId,
+      chunks,
+      mimeType: file.type,
+      lastModified: new Date().toISOString(),
+      size: file.size
+    })
+    this._saveLocalIndex(index)
+    this._unmarkDeleted(key)
+
+    return { url: '', key, chunked: true }
+  }
+
   /**
    * 删除文件
-   * 从本地索引中移除（Telegram Bot API 不支持删除消息中的文件）
+   * 通过 deleteMessage 删除频道中的消息，确认成功后再从本地索引移除。
+   * 早期上传的记录没有 messageId，只能从本地索引移除，消息需在频道中手动删除。
    * @param {string} key - 文件标识符
+   * @returns {Promise<{localOnly: boolean}>} localOnly 为 true 表示仅移除了本地索引
    */
   async delete(key) {
-    // Telegram Bot API 不支持删除已发送的文件/消息
-    // 只能从本地索引中移除
+    try {
+      const index = this._getLocalIndex()
+      const entry = index.find(item => item.key === key)
+      const removeFromIndex = () => {
+        this._saveLocalIndex(this._getLocalIndex().filter(item => item.key !== key))
+        this._markDeleted(key)
+      }
+
+      if (!entry?.messageId) {
+        removeFromIndex()
+        console.warn(`Telegram storage: ${key} has no message_id, removed from local index only`)
+        return { localOnly: true }
+      }
+
+      const messageIds = entry.chunks
+        ? entry.chunks.map(chunk => chunk.messageId)
+        : [entry.messageId]
+
+      for (const messageId of messageIds) {
+        try {
+          await this._callApi('deleteMessage', {
+            chat_id: entry.chatId || this.chatId,
+            message_id: messageId
+          })
+        } catch (error) {
+          // 消息已被手动删除时同样视为成功
+          if (!error.message.includes('message to delete not found')) {
+            throw error
+          }
+        }
+      }
+
+      removeFromIndex()
+      return { localOnly: false }
+    } catch (error) {
+      this._handleError(error, '删除')
+    }
+  }
+
+  /**
+   * 读取文件内容
+   * 通过 Bot API 下载，分片文件会拼接为完整文件
+   */
+  async getObject(item) {
+    const entry = this._getLocalIndex().find(({ key }) => key === item.key)
+    if (!entry?.chunks && !entry?.fileId) {
+      return super.getObject(item)
+    }
+
+    const response = await this.getFileContent(entry.chunks ? entry.key : entry.fileId)
+    if (!response.ok) {
+      throw new Error(`下载失败：HTTP ${response.status}`)
+    }
+    return response
+  }
+
+  supportsMove() {
+    return true
+  }
+
+  /**
+   * 移动或重命名文件
+   * 频道中的消息不变，只修改索引中的路径；原路径记为已删除，避免同步时从清单中恢复
+   */
+  async move(srcKey, dstKey) {
     const index = this._getLocalIndex()
-    const newIndex = index.filter(item => item.key !== key)
-    this._saveLocalIndex(newIndex)
-    console.warn('Telegram storage: removed from local index only (Bot API does not support deletion)')
-    return Promise.resolve()
+    const entry = index.find(item => item.key === srcKey)
+    if (!entry) {
+      throw new Error('索引中不存在该文件')
+    }
+
+    entry.key = dstKey
+    // 目标路径可能有更早的删除记录，记录移动时间使其不会在同步时被移除
+    entry.movedAt = new Date().toISOString()
+    const url = await this._getEntryUrl(entry)
+    this._saveLocalIndex(index.filter(item => item === entry || item.key !== dstKey))
+    this._unmarkDeleted(dstKey)
+    this._markDeleted(srcKey)
+
+    return { url, key: dstKey }
+  }
+
+  /**
+   * 获取文件详情
+   * Telegram 没有对象元数据接口，信息来自本地索引
+   */
+  async getObjectInfo(key) {
+    const entry = this._getLocalIndex().find(item => item.key === key)
+    if (!entry) {
+      throw new Error('索引中不存在该文件')
+    }
+
+    const metadata = { chatId: String(entry.chatId ?? '') }
+    if (entry.messageId) metadata.messageId = String(entry.messageId)
+    if (entry.fileId) metadata.fileId = entry.fileId
+    if (entry.chunks) metadata.chunks = String(entry.chunks.length)
+
+    return {
+      key,
+      size: entry.size,
+      contentType: entry.mimeType,
+      lastModified: new Date(entry.lastModified),
+      metadata
+    }
+  }
+
+  /**
+   * 检查本地索引中是否已有该文件
+   */
+  async exists(key) {
+    return this._getLocalIndex().some(item => item.key === key)
   }
 
   /**
    * 获取文件列表
-   * 从本地索引中读取
+   * 从本地索引中读取，游标为下一页的起始位置；按目录列出时子目录只在第一页返回
    */
-  async listObjects(prefix = '') {
+  async listObjects(prefix = '', { cursor, limit = 100, delimiter, resolveUrls = true } = {}) {
     const index = this._getLocalIndex()
     
     // 如果有前缀，过滤匹配的文件
-    const filtered = prefix 
+    const matched = prefix 
       ? index.filter(item => item.key.startsWith(prefix))
       : index
+    const { items: filtered, prefixes } = delimiter
+      ? this._groupByDelimiter(matched, prefix, delimiter)
+      : { items: matched, prefixes: [] }
     
+    const start = Number(cursor) || 0
+    const end = start + limit
+
     // 按时间降序排序
-    return filtered
+    const page = filtered
       .sort((a, b) => new Date(b.lastModified) - new Date(a.lastModified))
-      .map(item => ({
+      .slice(start, end)
+    const unresolved = page.filter(item => !item.url).length
+    const items = []
+    for (const item of page) {
+      items.push({
         key: item.key,
-        url: item.url,
+        // 获取访问地址可能需要请求 getFile
+        url: resolveUrls ? await this._getEntryUrl(item) : item.url,
         lastModified: new Date(item.lastModified),
-        size: item.size
-      }))
+        size: item.size,
+        // 分片文件没有直接访问地址，只能下载
+        ...(item.chunks ? { chunked: true } : {})
+      })
+    }
+    // 保存新获取的访问地址
+    if (page.filter(item => !item.url).length < unresolved) {
+      this._saveLocalIndex(index)
+    }
+
+    return {
+      items,
+      prefixes: start === 0 ? prefixes : [],
+      nextCursor: end < filtered.length ? String(end) : null
+    }
+  }
+
+  /**
+   * 同步文件索引
+   * 读取频道中置顶的索引清单并与本地索引合并，再把合并结果写回清单，
+   * 使其他设备或清除缓存后的浏览器也能看到完整的图库。
+   * @returns {Promise<{total: number, added: number}>} 合并后的总数和新增的记录数
+   */
+  async syncIndex() {
+    try {
+      const remote = await this._fetchManifest()
+      const localIndex = this._getLocalIndex()
+
+      // 合并删除记录，同一路径保留最晚的删除时间；旧版清单没有删除时间，按清单更新时间计
+      const deletions = new Map()
+      const remoteDeletions = normalizeDeletions(remote?.manifest.deleted, remote?.manifest.updatedAt)
+      for (const item of [...remoteDeletions, ...this._getDeletions()]) {
+        const existing = deletions.get(item.key)
+        if (!existing || Date.parse(item.deletedAt) > Date.parse(existing.deletedAt)) {
+          deletions.set(item.key, item)
+        }
+      }
+
+      // 以远端记录为基础，本地记录覆盖同名项；缺少 messageId 的记录不覆盖已有 messageId 的记录
+      const merged = new Map()
+      for (const entry of [...(remote?.manifest.entries || []), ...localIndex]) {
+        const existing = merged.get(entry.key)
+        if (!existing || entry.messageId || !existing.messageId) {
+          merged.set(entry.key, entry)
+        }
+      }
+      // 删除后在同一路径重新上传或移入的记录保留，对应的删除记录不再需要
+      for (const [key, { deletedAt }] of deletions) {
+        const entry = merged.get(key)
+        if (!entry) continue
+        if (entryTime(entry) > (Date.parse(deletedAt) || 0)) {
+          deletions.delete(key)
+        } else {
+          merged.delete(key)
+        }
+      }
+
+      const index = [...merged.values()]
+      const localKeys = new Set(localIndex.map(item => item.key))
+      this._saveLocalIndex(index)
+      this._saveDeletions([...deletions.values()])
+
+      await this._pushManifest({
+        app: 'pix-ruom',
+        version: 2,
+        updatedAt: new Date().toISOString(),
+        entries: index.map(entry => this._toManifestEntry(entry)),
+        deleted: [...deletions.values()]
+      }, remote?.messageId)
+
+      return {
+        total: index.length,
+        added: index.filter(item => !localKeys.has(item.key)).length
+      }
+    } catch (error) {
+      this._handleError(error, '同步索引')
+    }
+  }
+
+  /**
+   * 转换为清单中的记录
+   * 清单对能查看频道的人可见，不能包含带有 Bot Token 的地址，地址在本地通过 getFile 重新获取
+   * @private
+   */
+  _toManifestEntry({ key, fileId, messageId, chunks, size, mimeType, lastModified, movedAt }) {
+    return { key, fileId, messageId, chunks, size, mimeType, lastModified, movedAt }
+  }
+
+  /**
+   * 读取频道中的索引清单
+   * 置顶消息只能取到最新的一条，因此优先使用本地记录的清单消息 ID；
+   * 频道已有其他置顶而本地没有记录时无法确定清单位置，此时报错，避免用本地索引覆盖其他设备的记录
+   * @private
+   * @returns {Promise<{messageId: number, manifest: Object}|null>} 频道中没有清单时返回 null
+   */
+  async _fetchManifest() {
+    const chat = await this._callApi('getChat', { chat_id: this.chatId })
+    const pinned = chat.pinned_message
+    const storedId = this._getManifestMessageId()
+
+    let message = this._isManifestMessage(pinned) ? pinned : null
+    if (!message && storedId) {
+      message = await this._readMessage(storedId)
+      if (message && !this._isManifestMessage(message)) {
+        message = null
+      }
+    }
+    if (!message) {
+      if (pinned && !storedId) {
+        throw new Error('频道最新的置顶消息不是索引清单，请将索引清单重新置顶后再同步；频道中还没有清单时请暂时取消其他置顶')
+      }
+      return null
+    }
+
+    const response = await this.getFileContent(message.document.file_id)
+    if (!response.ok) {
+      throw new Error(`Failed to download index manifest: ${response.status}`)
+    }
+
+    const manifest = await response.json()
+    if (manifest?.app !== 'pix-ruom' || !Array.isArray(manifest.entries)) {
+      throw new Error('Invalid index manifest')
+    }
+
+    const messageId = message.forwardedFrom || message.message_id
+    this._saveManifestMessageId(messageId)
+    return { messageId, manifest }
+  }
+
+  /**
+   * @private
+   */
+  _isManifestMessage(message) {
+    return message?.document?.file_name === this.manifestFileName
+  }
+
+  /**
+   * 读取频道中的指定消息
+   * Bot API 没有按 ID 读取消息的接口，转发到同一频道获取内容后删除转发的消息
+   * @private
+   * @param {number} messageId - 消息 ID
+   * @returns {Promise<Object|null>} 消息已被删除时返回 null
+   */
+  async _readMessage(messageId) {
+    let forwarded
+    try {
+      forwarded = await this._callApi('forwardMessage', {
+        chat_id: this.chatId,
+        from_chat_id: this.chatId,
+        message_id: messageId,
+        disable_notification: true
+      })
+    } catch (error) {
+      if (error.message.includes('message to forward not found')) {
+        return null
+      }
+      throw error
+    }
+
+    try {
+      await this._callApi('deleteMessage', { chat_id: this.chatId, message_id: forwarded.message_id })
+    } catch (error) {
+      console.warn('Failed to delete forwarded manifest message:', error.message)
+    }
+    return { ...forwarded, forwardedFrom: messageId }
+  }
+
+  /**
+   * 写回索引清单：优先编辑已有的置顶消息，失败时发送新清单并置顶
+   * @private
+   * @param {Object} manifest - 清单内容
+   * @param {number} [messageId] - 已有清单消息的 ID
+   */
+  async _pushManifest(manifest, messageId) {
+    const blob = new Blob([JSON.stringify(manifest)], { type: 'application/json' })
+
+    if (messageId) {
+      try {
+        const formData = new FormData()
+        formData.append('chat_id', this.chatId)
+        formData.append('message_id', messageId)
+        formData.append('media', JSON.stringify({ type: 'document', media: 'attach://manifest' }))
+        formData.append('manifest', blob, this.manifestFileName)
+        await this._callApi('editMessageMedia', formData)
+        this._saveManifestMessageId(messageId)
+        return
+      } catch (error) {
+        console.warn('Failed to edit index manifest, sending a new one:', error.message)
+      }
+    }
+
+    const formData = new FormData()
+    formData.append('chat_id', this.chatId)
+    formData.append('document', blob, this.manifestFileName)
+    formData.append('disable_notification', 'true')
+    const message = await this._callApi('sendDocument', formData)
+    this._saveManifestMessageId(message.message_id)
+
+    await this._callApi('pinChatMessage', {
+      chat_id: this.chatId,
+      message_id: message.message_id,
+      disable_notification: true
+    })
+  }
+
+  /**
+   * 调用 Bot API 方法
+   * @private
+   * @param {string} method - 方法名
+   * @param {Object|FormData} body - 请求参数
+   * @param {Object} [uploadOptions] - 上传选项，传入时通过 _uploadRequest 发送以获取进度
+   * @returns {Promise<*>} 响应中的 result
+   */
+  async _callApi(method, body, uploadOptions) {
+    const isFormData = body instanceof FormData
+    const init = {
+      method: 'POST',
+      headers: isFormData
+        ? this.defaultHeaders
+        : { ...this.defaultHeaders, 'Content-Type': 'application/json' },
+      body: isFormData ? body : JSON.stringify(body)
+    }
+    const response = uploadOptions
+      ? await this._uploadRequest(`${this.baseURL}/${method}`, init, uploadOptions)
+      : await fetch(`${this.baseURL}/${method}`, init)
+    const responseData = await response.json()
+
+    if (!responseData.ok) {
+      const error = new Error(`Telegram API error: ${responseData.description}`)
+      error.status = responseData.error_code
+      throw error
+    }
+
+    return responseData.result
   }
 
   /**
@@ -267,6 +830,20 @@ export class TelegramStorage extends BaseStorage {
     }
   }
 
+  /**
+   * 生成文件访问地址
+   * 配置了文件代理时使用代理地址，否则使用包含 Bot Token 的官方下载地址
+   * @private
+   * @param {string} fileId - 文件ID
+   * @param {string} [filePath] - getFile 返回的文件路径
+   */
+  _buildFileUrl(fileId, filePath) {
+    if (this.fileProxyUrl) {
+      return `${this.fileProxyUrl}/${encodeURIComponent(fileId)}`
+    }
+    return `${this.fileDomain}/file/bot${this.botToken}/${filePath}`
+  }
+
   /**
    * 获取文件路径
    * @private
@@ -293,10 +870,24 @@ export class TelegramStorage extends BaseStorage {
 
   /**
    * 获取文件内容
-   * @param {string} fileId - 文件ID
+   * 传入分片文件的标识符时，依次下载各分片并拼接为完整文件
+   * @param {string} fileId - 文件ID，分片文件传入文件标识符 key
    * @returns {Promise<Response>}
    */
   async getFileContent(fileId) {
+    const chunkedEntry = this._getLocalIndex().find(item => item.chunks && item.key === fileId)
+    if (chunkedEntry) {
+      const parts = []
+      for (const chunk of chunkedEntry.chunks) {
+        const response = await this.getFileContent(chunk.fileId)
+        if (!response.ok) {
+          throw new Error(`Failed to download chunk ${parts.length + 1}/${chunkedEntry.chunks.length}`)
+        }
+        parts.push(await response.blob())
+      }
+      return new Response(new Blob(parts, { type: chunkedEntry.mimeType }))
+    }
+
     const filePath = await this._getFilePath(fileId)
     if (!filePath) {
       throw new Error(`File path not found for fileId: ${fileId}`)
@@ -322,9 +913,15 @@ export class TelegramStorage extends BaseStorage {
     if (message.includes('bot was kicked')) {
       return 'Bot 已被踢出该频道/群组'
     }
+    if (message.includes('not enough rights to manage pinned messages')) {
+      return 'Bot 没有置顶消息的权限，无法保存索引清单'
+    }
     if (message.includes('not enough rights')) {
       return 'Bot 没有发送消息的权限'
     }
+    if (message.includes("message can't be deleted")) {
+      return 'Bot 没有删除该消息的权限，请授予 Bot 删除消息的管理员权限'
+    }
     if (message.includes('file is too big')) {
       return '文件大小超过 Telegram 限制 (20MB)'
     }
@@ -0,0 +1,362 @@
+import { BaseStorage } from './BaseStorage'
+
+/**
+ * WebDAV存储适配器
+ * 适用于 Nextcloud、AList 等支持 WebDAV 协议的自建存储
+ */
+export class WebDAVStorage extends BaseStorage {
+  /**
+   * @param {Object} config - WebDAV配置
+   * @param {string} config.endpoint - WebDAV根地址，如 https://cloud.example.com/remote.php/dav/files/user
+   * @param {string} [config.username] - 用户名
+   * @param {string} [config.password] - 密码或应用专用密码
+   */
+  constructor(config) {
+    super(config)
+
+    const endpoint = config.endpoint.startsWith('http')
+      ? config.endpoint
+      : `https://${config.endpoint}`
+    this.endpoint = endpoint.replace(/\/+$/, '')
+    this.basePath = decodeURIComponent(new URL(this.endpoint).pathname).replace(/\/+$/, '')
+
+    this.defaultHeaders = {}
+    if (config.username) {
+      const credentials = `${config.username}:${config.password || ''}`
+      this.defaultHeaders.Authorization = `Basic ${btoa(unescape(encodeURIComponent(credentials)))}`
+    }
+
+    // 已确认存在的目录，避免同一批次上传重复发送 MKCOL
+    this.knownCollections = new Set()
+  }
+
+  async upload(file, { onProgress, signal } = {}) {
+    try {
+      const { key, existing } = await this._prepareKey(file)
+      if (existing) {
+        onProgress?.(100)
+        return { url: this._generateUrl(key, this.endpoint), key, existing }
+      }
+
+      await this._ensureCollections(key.split('/').slice(0, -1))
+
+      const response = await this._uploadRequest(this._buildUrl(key), {
+        method: 'PUT',
+        headers: { ...this.defaultHeaders, 'Content-Type': file.type },
+        body: file
+      }, { onProgress, signal })
+      this._assertResponse(response)
+
+      return {
+        url: this._generateUrl(key, this.endpoint),
+        key
+      }
+    } catch (error) {
+      this._handleError(error, '上传')
+    }
+  }
+
+  async delete(key) {
+    try {
+      const response = await this._request('DELETE', key)
+      // 文件已不存在时视为删除成功
+      if (response.status !== 404) {
+        this._assertResponse(response)
+      }
+    } catch (error) {
+      this._handleError(error, '删除')
+    }
+  }
+
+  async exists(key) {
+    const response = await this._request('HEAD', key)
+    if (response.status === 404) {
+      return false
+    }
+    this._assertResponse(response)
+    return true
+  }
+
+  /**
+   * 读取文件内容
+   * 文件地址通常需要认证，使用带认证头的请求下载
+   */
+  async getObject(item) {
+    const response = await this._request('GET', item.key)
+    if (!response.ok) {
+      const error = new Error(`下载失败：HTTP ${response.status}`)
+      error.status = response.status
+      throw error
+    }
+    return response
+  }
+
+  /**
+   * 获取文件列表
+   * WebDAV 不支持分页，按目录逐个读取：游标为尚未读取的目录列表，
+   * 每页至少读取一个目录，直到文件数达到 limit
+   */
+  async listObjects(prefix = '', { cursor, limit = 100, delimiter } = {}) {
+    try {
+      // 按目录列出时只读取当前目录，一次返回全部内容
+      if (delimiter) {
+        const { files, collections } = await this._readCollection(prefix.replace(/^\/+|\/+$/g, ''))
+        return {
+          items: files,
+          prefixes: collections.map(path => `${path}/`),
+          nextCursor: null
+        }
+      }
+
+      const pending = cursor
+        ? JSON.parse(cursor)
+        : [prefix.replace(/^\/+|\/+$/g, '')]
+      const items = []
+
+      while (pending.length && items.length < limit) {
+        const { files, collections } = await this._readCollection(pending.shift())
+        items.push(...files)
+        pending.unshift(...collections)
+      }
+
+      return {
+        items,
+        nextCursor: pending.length ? JSON.stringify(pending) : null
+      }
+    } catch (error) {
+      this._handleError(error, '获取文件列表')
+    }
+  }
+
+  supportsMove() {
+    return true
+  }
+
+  async copy(srcKey, dstKey) {
+    return this._transfer('COPY', srcKey, dstKey, '复制')
+  }
+
+  /**
+   * 使用 MOVE 方法直接移动，无需复制后再删除
+   */
+  async move(srcKey, dstKey) {
+    return this._transfer('MOVE', srcKey, dstKey, '移动')
+  }
+
+  async getObjectInfo(key) {
+    try {
+      const response = await this._propfind(key, 0)
+      this._assertResponse(response)
+      const [entry] = this._parseMultistatus(await response.text())
+      return {
+        key,
+        size: entry?.size,
+        contentType: entry?.contentType,
+        lastModified: entry?.lastModified,
+        etag: entry?.etag,
+        metadata: {}
+      }
+    } catch (error) {
+      this._handleError(error, '获取文件信息')
+    }
+  }
+
+  async testConnection() {
+    try {
+      const response = await this._propfind('', 0)
+      this._assertResponse(response)
+      return this._formatTestResult(true)
+    } catch (error) {
+      return this._formatTestResult(false, this._parseError(error))
+    }
+  }
+
+  /**
+   * 发送 COPY / MOVE 请求，目标的上级目录不存在时先创建
+   * @private
+   * @param {string} method - COPY 或 MOVE
+   * @param {string} srcKey - 源路径
+   * @param {string} dstKey - 目标路径
+   * @param {string} operation - 操作名称，用于错误信息
+   */
+  async _transfer(method, srcKey, dstKey, operation) {
+    try {
+      await this._ensureCollections(dstKey.split('/').slice(0, -1))
+      const response = await this._request(method, srcKey, {
+        headers: {
+          Destination: this._buildUrl(dstKey),
+          Overwrite: 'T'
+        }
+      })
+      this._assertResponse(response)
+      return {
+        url: this._generateUrl(dstKey, this.endpoint),
+        key: dstKey
+      }
+    } catch (error) {
+      this._handleError(error, operation)
+    }
+  }
+
+  /**
+   * 逐级创建缺失的目录
+   * @private
+   * @param {string[]} segments - 目录路径片段，如 ['i', '2024', '05', '01']
+   */
+  async _ensureCollections(segments) {
+    let path = ''
+    for (const segment of segments) {
+      path = path ? `${path}/${segment}` : segment
+      if (this.knownCollections.has(path)) continue
+
+      const response = await this._request('MKCOL', `${path}/`)
+      // 201 新建成功；405 目录已存在
+      if (response.status !== 201 && response.status !== 405) {
+        this._assertResponse(response)
+      }
+      this.knownCollections.add(path)
+    }
+  }
+
+  /**
+   * 读取目录下的文件和子目录
+   * @private
+   * @param {string} path - 相对于根地址的目录路径
+   * @returns {Promise<{files: Array, collections: string[]}>}
+   */
+  async _readCollection(path) {
+    const response = await this._propfind(path ? `${path}/` : '', 1)
+    if (response.status === 404) {
+      return { files: [], collections: [] }
+    }
+    this._assertResponse(response)
+
+    const entries = this._parseMultistatus(await response.text())
+    const files = []
+    const collections = []
+
+    for (const entry of entries) {
+      // Depth: 1 的响应包含目录自身
+      if (entry.key === path) continue
+
+      if (entry.isCollection) {
+        collections.push(entry.key)
+      } else {
+        files.push({
+          key: entry.key,
+          lastModified: entry.lastModified,
+          size: entry.size,
+          url: this._generateUrl(entry.key, this.endpoint)
+        })
+      }
+    }
+
+    return { files, collections }
+  }
+
+  /**
+   * 解析 PROPFIND 返回的 multistatus XML
+   * @private
+   * @param {string} xml - 响应正文
+   * @returns {Array<{key: string, isCollection: boolean, lastModified: Date, size: number, contentType: string, etag: string}>}
+   */
+  _parseMultistatus(xml) {
+    const doc = new DOMParser().parseFromString(xml, 'application/xml')
+    const DAV = 'DAV:'
+    const text = (node, name) => node.getElementsByTagNameNS(DAV, name)[0]?.textContent || ''
+
+    return Array.from(doc.getElementsByTagNameNS(DAV, 'response')).map(node => {
+      const href = text(node, 'href')
+      const pathname = decodeURIComponent(new URL(href, this.endpoint).pathname)
+      const key = pathname
+        .slice(this.basePath.length)
+        .replace(/^\/+|\/+$/g, '')
+      const modified = text(node, 'getlastmodified')
+
+      return {
+        key,
+        isCollection: node.getElementsByTagNameNS(DAV, 'collection').length > 0,
+        lastModified: modified ? new Date(modified) : null,
+        size: Number(text(node, 'getcontentlength')) || 0,
+        contentType: text(node, 'getcontenttype'),
+        etag: text(node, 'getetag')
+      }
+    })
+  }
+
+  /**
+   * 发送 PROPFIND 请求
+   * @private
+   */
+  _propfind(path, depth) {
+    return this._request('PROPFIND', path, {
+      headers: {
+        Depth: String(depth),
+        'Content-Type': 'application/xml; charset=utf-8'
+      },
+      body: '<?xml version="1.0" encoding="utf-8"?>'
+        + '<d:propfind xmlns:d="DAV:"><d:prop>'
+        + '<d:resourcetype/><d:getcontentlength/><d:getlastmodified/><d:getcontenttype/><d:getetag/>'
+        + '</d:prop></d:propfind>'
+    })
+  }
+
+  /**
+   * 发送 WebDAV 请求
+   * @private
+   * @param {string} method - 请求方法
+   * @param {string} path - 相对于根地址的路径
+   * @param {RequestInit} [options] - fetch 选项
+   */
+  _request(method, path, options = {}) {
+    return fetch(this._buildUrl(path), {
+      ...options,
+      method,
+      headers: { ...this.defaultHeaders, ...options.headers }
+    })
+  }
+
+  /**
+   * 生成请求地址，逐段编码路径
+   * @private
+   * @param {string} path - 相对于根地址的路径
+   */
+  _buildUrl(path) {
+    const encodedPath = path.split('/').map(encodeURIComponent).join('/')
+    return `${this.endpoint}/${encodedPath}`
+  }
+
+  /**
+   * 非成功响应转换为带状态码的错误
+   * @private
+   */
+  _assertResponse(response) {
+    if (!response.ok) {
+      const error = new Error(`WebDAV error: ${response.status} ${response.statusText}`)
+      error.status = response.status
+      throw error
+    }
+  }
+
+  _parseError(error) {
+    if (error.status === 401) {
+      return '用户名或密码错误'
+    }
+    if (error.status === 403) {
+      return '访问被拒绝，请检查权限配置'
+    }
+    if (error.status === 404) {
+      return '路径不存在，请检查 WebDAV 地址'
+    }
+    if (error.status === 507) {
+      return '存储空间不足'
+    }
+    if (error.name === 'TypeError' || error.message?.includes('fetch')) {
+      return '网络连接失败，请检查地址或服务端 CORS 配置'
+    }
+    if (error.status) {
+      return `请求失败(${error.status})：${error.message || '未知错误'}`
+    }
+    return error.message || '未知错误'
+  }
+}
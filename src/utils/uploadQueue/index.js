@@ -0,0 +1,139 @@
+import { DEFAULT_SETTINGS } from '../config/fileTypes'
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms))
+
+/**
+ * 判断错误是否值得重试：网络错误、429 和 5xx
+ * @param {Error} error - 错误对象，存储适配器抛出的错误在 cause 中保留原始错误
+ * @returns {boolean}
+ */
+export const isRetryableError = (error) => {
+  if (!error || error.name === 'AbortError') return false
+
+  const cause = error.cause || error
+  const status = error.status ?? cause.status ?? cause.statusCode ?? cause.$metadata?.httpStatusCode
+  if (status === 429 || (status >= 500 && status < 600)) {
+    return true
+  }
+  // ali-oss 网络异常时 status 为 -1
+  if (status === -1) {
+    return true
+  }
+
+  if (['NetworkingError', 'ConnectionError', 'TimeoutError'].includes(cause.name)) {
+    return true
+  }
+  // fetch 和 XHR 的网络异常为 TypeError，其他 TypeError 多为代码错误，不重试
+  const message = cause.message || ''
+  if (cause.name === 'TypeError') {
+    return /failed to fetch|networkerror|load failed|network request failed/i.test(message)
+  }
+  return /network|timeout/i.test(message)
+}
+
+/**
+ * 上传队列
+ * 限制同时处理的任务数，对可重试的错误按指数退避自动重试，支持暂停和恢复
+ */
+export class UploadQueue {
+  /**
+   * @param {Object} [config] - 队列配置
+   * @param {number} [config.concurrency] - 并发数
+   * @param {number} [config.retries] - 失败后的最大重试次数
+   * @param {number} [config.retryDelay] - 首次重试的等待时间（毫秒），之后每次翻倍
+   */
+  constructor(config = {}) {
+    const defaults = DEFAULT_SETTINGS.upload
+    this.config = {
+      concurrency: Math.max(1, config.concurrency || defaults.concurrency),
+      retries: Math.max(0, config.retries ?? defaults.retries),
+      retryDelay: Math.max(0, config.retryDelay ?? defaults.retryDelay)
+    }
+
+    this.paused = false
+    this._resumeWaiters = []
+  }
+
+  /**
+   * 暂停队列，正在进行的任务会继续完成，但不再开始新任务
+   */
+  pause() {
+    this.paused = true
+  }
+
+  /**
+   * 恢复队列
+   */
+  resume() {
+    this.paused = false
+    this._resumeWaiters.splice(0).forEach(resolve => resolve())
+  }
+
+  /**
+   * 执行队列
+   * worker 抛出 AbortError 时视为取消，不会重试
+   * @param {Array} items - 任务列表
+   * @param {Function} worker - 处理单个任务的异步函数，参数为 (item, attempt)，attempt 从 0 开始
+   * @param {Object} [options] - 回调选项
+   * @param {Function} [options.onRetry] - 重试前的回调，参数为 (item, { attempt, delay, error })
+   * @returns {Promise<{succeeded: Array, failed: Array, canceled: Array}>} 各任务的执行结果汇总
+   */
+  async run(items, worker, { onRetry } = {}) {
+    const summary = { succeeded: [], failed: [], canceled: [] }
+    let next = 0
+
+    const runWorker = async () => {
+      while (next < items.length) {
+        await this._waitIfPaused()
+        if (next >= items.length) break
+
+        const item = items[next++]
+        await this._runItem(item, worker, summary, onRetry)
+      }
+    }
+
+    const workerCount = Math.min(this.config.concurrency, items.length)
+    await Promise.all(Array.from({ length: workerCount }, runWorker))
+
+    return summary
+  }
+
+  /**
+   * 执行单个任务，失败时按指数退避重试
+   * @private
+   */
+  async _runItem(item, worker, summary, onRetry) {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        const result = await worker(item, attempt)
+        summary.succeeded.push({ item, result })
+        return
+      } catch (error) {
+        if (error?.name === 'AbortError') {
+          summary.canceled.push({ item })
+          return
+        }
+        if (attempt >= this.config.retries || !isRetryableError(error)) {
+          summary.failed.push({ item, error })
+          return
+        }
+
+        const delay = this.config.retryDelay * 2 ** attempt
+        onRetry?.(item, { attempt: attempt + 1, delay, error })
+        await sleep(delay)
+        await this._waitIfPaused()
+      }
+    }
+  }
+
+  /**
+   * 队列暂停时等待恢复
+   * @private
+   */
+  _waitIfPaused() {
+    if (!this.paused) return Promise.resolve()
+    return new Promise(resolve => this._resumeWaiters.push(resolve))
+  }
+}
+
+export default UploadQueue
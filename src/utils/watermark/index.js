@@ -0,0 +1,156 @@
+import { DEFAULT_SETTINGS } from '../config/fileTypes'
+import { WATERMARK_POSITIONS } from '../config/imageConfig'
+
+// 解码后的 logo，只缓存当前使用的一张
+const logoCache = new Map()
+
+/**
+ * 水印
+ * 在 Canvas 上绘制文字或图片水印，上传处理和设置页预览共用
+ */
+export class Watermark {
+  constructor(config = {}) {
+    this.config = { ...DEFAULT_SETTINGS.image.watermark, ...config }
+  }
+
+  /**
+   * 是否开启且设置了水印内容
+   * @returns {boolean}
+   */
+  isEnabled() {
+    const { enabled, type, text, logo } = this.config
+    return Boolean(enabled && (type === 'image' ? logo : text.trim()))
+  }
+
+  /**
+   * 图片是否需要加水印
+   * @param {string} mimeType - 原图类型
+   * @param {{width: number, height: number}} size - 输出尺寸
+   * @returns {boolean}
+   */
+  shouldApply(mimeType, { width, height }) {
+    const { minWidth, minHeight, skipTypes } = this.config
+    return this.isEnabled()
+      && !skipTypes.includes(mimeType)
+      && width >= minWidth
+      && height >= minHeight
+  }
+
+  /**
+   * 在画布上绘制水印
+   * @param {CanvasRenderingContext2D} ctx - 已绘制原图的画布
+   * @param {number} width - 画布宽度
+   * @param {number} height - 画布高度
+   */
+  async draw(ctx, width, height) {
+    const { opacity, rotation, tile } = this.config
+    const mark = await this._createMark(ctx, width)
+    const angle = (rotation * Math.PI) / 180
+
+    ctx.save()
+    ctx.globalAlpha = opacity / 100
+    if (tile) {
+      this._drawTiled(ctx, mark, width, height, angle)
+    } else {
+      // 以水印中心为原点旋转，旋转后可能超出边距
+      const { x, y } = this._getAnchor(mark, width, height)
+      ctx.translate(x + mark.width / 2, y + mark.height / 2)
+      ctx.rotate(angle)
+      mark.draw(ctx, -mark.width / 2, -mark.height / 2)
+    }
+    ctx.restore()
+  }
+
+  /**
+   * 解码 logo
+   * @private
+   * @returns {Promise<ImageBitmap>}
+   */
+  _loadLogo() {
+    const { logo } = this.config
+    if (!logoCache.has(logo)) {
+      logoCache.clear()
+      logoCache.set(logo, fetch(logo)
+        .then(response => response.blob())
+        .then(blob => createImageBitmap(blob))
+        .catch(error => {
+          logoCache.delete(logo)
+          throw new Error(`水印图片加载失败: ${error.message}`)
+        }))
+    }
+    return logoCache.get(logo)
+  }
+
+  /**
+   * 生成水印的尺寸和绘制方法
+   * @private
+   * @returns {Promise<{width: number, height: number, draw: Function}>}
+   */
+  async _createMark(ctx, canvasWidth) {
+    const { type, text, font, fontSize, color, logoScale } = this.config
+
+    if (type === 'image') {
+      const logo = await this._loadLogo()
+      const width = Math.max(1, Math.round((canvasWidth * logoScale) / 100))
+      const height = Math.max(1, Math.round((width * logo.height) / logo.width))
+      return {
+        width,
+        height,
+        draw: (target, x, y) => target.drawImage(logo, x, y, width, height)
+      }
+    }
+
+    const fontStyle = `${fontSize}px ${font}`
+    ctx.save()
+    ctx.font = fontStyle
+    const width = Math.max(1, ctx.measureText(text).width)
+    ctx.restore()
+    return {
+      width,
+      height: fontSize,
+      draw: (target, x, y) => {
+        target.font = fontStyle
+        target.fillStyle = color
+        target.textBaseline = 'top'
+        target.fillText(text, x, y)
+      }
+    }
+  }
+
+  /**
+   * 按九宫格位置和边距计算水印左上角坐标
+   * @private
+   */
+  _getAnchor(mark, width, height) {
+    const { position, marginX, marginY } = this.config
+    const { row, col } = WATERMARK_POSITIONS.find(item => item.value === position)
+      || WATERMARK_POSITIONS[WATERMARK_POSITIONS.length - 1]
+    const offset = (index, size, total, margin) => [margin, (total - size) / 2, total - size - margin][index]
+    return {
+      x: offset(col, mark.width, width, marginX),
+      y: offset(row, mark.height, height, marginY)
+    }
+  }
+
+  /**
+   * 平铺绘制，以画布中心为原点旋转并覆盖对角线范围，隔行错开半个间距
+   * @private
+   */
+  _drawTiled(ctx, mark, width, height, angle) {
+    const { tileGap } = this.config
+    const stepX = mark.width + tileGap
+    const stepY = mark.height + tileGap
+    const radius = Math.hypot(width, height) / 2
+
+    ctx.translate(width / 2, height / 2)
+    ctx.rotate(angle)
+    for (let row = 0, y = -radius; y < radius; row++, y += stepY) {
+      const shift = row % 2 ? stepX / 2 : 0
+      for (let x = -radius - shift; x < radius; x += stepX) {
+        mark.draw(ctx, x, y)
+      }
+    }
+  }
+}
+
+export default Watermark